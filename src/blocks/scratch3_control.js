@@ -110,7 +110,7 @@ class Scratch3ControlBlocks {
     wait (args) {
         const duration = Math.max(0, 1000 * Cast.toNumber(args.DURATION));
         return new Promise(resolve => {
-            setTimeout(() => {
+            this.runtime.timeSource.setTimeout(() => {
                 resolve();
             }, duration);
         });
@@ -153,7 +153,8 @@ class Scratch3ControlBlocks {
         if (args.CLONE_OPTION === '_myself_') {
             cloneTarget = util.target;
         } else {
-            cloneTarget = this.runtime.getSpriteTargetByName(args.CLONE_OPTION);
+            cloneTarget = this.runtime.getSpriteTargetByName(args.CLONE_OPTION) ||
+                this.runtime.getVideoTargetByName(args.CLONE_OPTION);
         }
 
         // If clone target is not found, return
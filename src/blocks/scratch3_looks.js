@@ -108,7 +108,7 @@ class Scratch3LooksBlocks {
         for (let n = 0; n < this.runtime.targets.length; n++) {
             this._onTargetWillExit(this.runtime.targets[n]);
         }
-        clearTimeout(this._bubbleTimeout);
+        this.runtime.timeSource.clearTimeout(this._bubbleTimeout);
     }
 
     /**
@@ -279,11 +279,11 @@ class Scratch3LooksBlocks {
         const target = util.target;
         const usageId = this._getBubbleState(target).usageId;
         return new Promise(resolve => {
-            this._bubbleTimeout = setTimeout(() => {
+            this._bubbleTimeout = this.runtime.timeSource.setTimeout(() => {
                 this._bubbleTimeout = null;
                 // Clear say bubble if it hasn't been changed and proceed.
                 if (this._getBubbleState(target).usageId === usageId) {
-                    this._onTargetWillExit(target);
+                    this.runtime.emit('SAY', target, 'say', '');
                 }
                 resolve();
             }, 1000 * args.SECS);
@@ -291,7 +291,7 @@ class Scratch3LooksBlocks {
     }
 
     think (args, util) {
-        this._updateBubble(util.target, 'think', String(args.MESSAGE));
+        this.runtime.emit('SAY', util.target, 'think', String(args.MESSAGE));
     }
 
     thinkforsecs (args, util) {
@@ -299,11 +299,11 @@ class Scratch3LooksBlocks {
         const target = util.target;
         const usageId = this._getBubbleState(target).usageId;
         return new Promise(resolve => {
-            this._bubbleTimeout = setTimeout(() => {
+            this._bubbleTimeout = this.runtime.timeSource.setTimeout(() => {
                 this._bubbleTimeout = null;
                 // Clear think bubble if it hasn't been changed and proceed.
                 if (this._getBubbleState(target).usageId === usageId) {
-                    this._onTargetWillExit(target);
+                    this.runtime.emit('SAY', target, 'think', '');
                 }
                 resolve();
             }, 1000 * args.SECS);
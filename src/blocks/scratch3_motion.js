@@ -146,7 +146,7 @@ class Scratch3MotionBlocks {
             }
         } else {
             // First time: save data for future use.
-            util.stackFrame.timer = new Timer();
+            util.stackFrame.timer = new Timer(this.runtime.timeSource);
             util.stackFrame.timer.start();
             util.stackFrame.duration = Cast.toNumber(args.SECS);
             util.stackFrame.startX = util.target.x;
@@ -12,6 +12,12 @@ const TargetType = require('../extension-support/target-type');
 const Thread = require('./thread');
 const log = require('../util/log');
 const maybeFormatMessage = require('../util/maybe-format-message');
+const TimeSource = require('../util/time-source');
+const Timer = require('../util/timer');
+const Mixer = require('../steina/mixer');
+const ChangeTracker = require('../steina/change-tracker');
+const DrawOrder = require('../steina/draw-order');
+const VideoTarget = require('../steina/video-target');
 
 // Virtual I/O devices.
 const Clock = require('../io/clock');
@@ -19,6 +25,7 @@ const DeviceManager = require('../io/deviceManager');
 const Keyboard = require('../io/keyboard');
 const Mouse = require('../io/mouse');
 const MouseWheel = require('../io/mouseWheel');
+const Touch = require('../io/touch');
 const Video = require('../io/video');
 
 const defaultBlockPackages = {
@@ -229,6 +236,18 @@ class Runtime extends EventEmitter {
          */
         this.currentStepTime = null;
 
+        /**
+         * Whether the runtime is paused. See `pause`.
+         * @type {boolean}
+         */
+        this.paused = false;
+
+        /**
+         * Whether to restart the stepping interval when resuming from a pause.
+         * @type {boolean}
+         */
+        this._steppingOnResume = false;
+
         /**
          * Whether any primitive has requested a redraw.
          * Affects whether `Sequencer.stepThreads` will yield
@@ -242,14 +261,22 @@ class Runtime extends EventEmitter {
         this._registerBlockPackages();
 
         // Register and initialize "IO devices", containers for processing
+        /**
+         * Clock shared by the project timer, block timers and the sequencer.
+         * Follows the wall clock unless switched to virtual time by `stepFrames`.
+         * @type {!TimeSource}
+         */
+        this.timeSource = new TimeSource();
+
         // I/O related data.
         /** @type {Object.<string, Object>} */
         this.ioDevices = {
-            clock: new Clock(),
+            clock: new Clock(this),
             deviceManager: new DeviceManager(),
             keyboard: new Keyboard(this),
             mouse: new Mouse(this),
             mouseWheel: new MouseWheel(this),
+            touch: new Touch(this),
             video: new Video(this)
         };
 
@@ -260,24 +287,61 @@ class Runtime extends EventEmitter {
          */
         this.profiler = null;
 
+        /**
+         * Layering of the sprites and video targets. Unlike sound in Scratch,
+         * we're adopting the model that the VM holds all ground truth for the
+         * state of entities, so the runtime owns the draw order.
+         * @type {!DrawOrder}
+         */
+        this.drawOrder = new DrawOrder(this);
+
         // @NOTE (sean):
-        // Unlike sound in Scratch, we're adopting the model that the
-        // VM holds all ground truth for the state of entities, so
-        // we're storing the draw order in the runtime directly.
         // We also keep track of which videos are currently playing
         // (in a not blocking way) so that the sequencer can update
         // the current frame for each video during each tick
         this.videoState = {
-          order : [], // Array of target ids
-          playing: {}
+          playing: {},
+          // Frame ranges [{from, to}, ...] covered by each playing video
+          // during the last tick, keyed by target id. Used by the hats that
+          // fire when a video crosses a marker or its start/end point
+          traversed: {}
         };
 
         // @NOTE (sean):
         // We do a similar thing for audio here
         this.audioState = {
-            playing: {}
+            playing: {},
+            // Sample ranges [{from, to}, ...] covered by the sounds of each audio
+            // target during the last tick, keyed by target id. Used by the hats
+            // that fire when a sound crosses a marker or its start/end point
+            traversed: {},
+            // Time of the audio clock as of the current step, in seconds. Each
+            // playing sound has a `startTime` on this clock, so the host can start
+            // sounds queued together at exactly the same time
+            currentTime: 0,
+            // Beats per minute, for queueing sounds on a beat
+            tempo: 60
         };
 
+        /**
+         * Clock shared by all playing sounds. See `getAudioTime`.
+         * @type {!Timer}
+         */
+        this._audioClock = new Timer(this.timeSource);
+        this._audioClock.start();
+
+        /**
+         * Master volume, mute, solo and ducking of the audio targets.
+         * @type {!Mixer}
+         */
+        this.mixer = new Mixer(this);
+
+        /**
+         * Reports changes to video and audio targets and playing sounds, once per step.
+         * @type {!ChangeTracker}
+         */
+        this.changeTracker = new ChangeTracker(this);
+
         // @NOTE (sean):
         // Holds global state of device motion values
         this.motion = {
@@ -372,6 +436,67 @@ class Runtime extends EventEmitter {
         return 'PROJECT_STOP_ALL';
     }
 
+    /**
+     * Event name for the runtime being paused, e.g. while the app is in the background.
+     * @const {string}
+     */
+    static get RUNTIME_PAUSED () {
+        return 'RUNTIME_PAUSED';
+    }
+
+    /**
+     * Event name for the runtime resuming from a pause.
+     * @const {string}
+     */
+    static get RUNTIME_RESUMED () {
+        return 'RUNTIME_RESUMED';
+    }
+
+    /**
+     * Event name for video targets changing during a step. Reports, by target
+     * id, the changed frame, position, size, direction, visibility and effects;
+     * all of them for new targets and null for removed ones.
+     * @const {string}
+     */
+    static get VIDEO_TARGETS_CHANGED () {
+        return 'VIDEO_TARGETS_CHANGED';
+    }
+
+    /**
+     * Event name for the draw order of sprites and video targets changing
+     * during a step. Reports the ids of the new order, back to front.
+     * @const {string}
+     */
+    static get DRAW_ORDER_CHANGED () {
+        return 'DRAW_ORDER_CHANGED';
+    }
+
+    /**
+     * Event name for audio targets changing during a step. Reports, by target
+     * id, the changed volume and playback rate; both for new targets and null
+     * for removed ones.
+     * @const {string}
+     */
+    static get AUDIO_TARGETS_CHANGED () {
+        return 'AUDIO_TARGETS_CHANGED';
+    }
+
+    /**
+     * Event name for sounds starting during a step. Reports the started sounds by id.
+     * @const {string}
+     */
+    static get SOUNDS_STARTED () {
+        return 'SOUNDS_STARTED';
+    }
+
+    /**
+     * Event name for sounds finishing or being stopped during a step. Reports their ids.
+     * @const {string}
+     */
+    static get SOUNDS_STOPPED () {
+        return 'SOUNDS_STOPPED';
+    }
+
     /**
      * Event name for visual value report.
      * @const {string}
@@ -590,6 +715,11 @@ class Runtime extends EventEmitter {
                         restartExistingThreads: blockInfo.shouldRestartExistingThreads
                     };
                 }
+                if (convertedBlock.json.checkboxInFlyout) {
+                    this.monitorBlockInfo = Object.assign({}, this.monitorBlockInfo, {
+                        [opcode]: {isSpriteSpecific: !!blockInfo.isSpriteSpecific}
+                    });
+                }
             } catch (e) {
                 log.error('Error parsing block: ', {block: blockInfo, error: e});
             }
@@ -776,6 +906,12 @@ class Runtime extends EventEmitter {
             ++outLineNum;
         }
 
+        // Like core reporters such as "x position", only reporters without inputs can be monitored
+        if ((blockInfo.blockType === BlockType.REPORTER || blockInfo.blockType === BlockType.BOOLEAN) &&
+            blockInfo.checkboxInFlyout && context.inputList.length === 0) {
+            blockJSON.checkboxInFlyout = true;
+        }
+
         const blockXML = `<block type="${extendedOpcode}">${context.inputList.join('')}</block>`;
 
         return {
@@ -1203,6 +1339,8 @@ class Runtime extends EventEmitter {
     dispose () {
         this.stopAll();
         this.targets.map(this.disposeTarget, this);
+        this.drawOrder.reset();
+        this.mixer.reset();
     }
 
     /**
@@ -1236,6 +1374,21 @@ class Runtime extends EventEmitter {
         }
     }
 
+    /**
+     * Stop any threads running some scripts, e.g. before the scripts are changed.
+     * @param {!Blocks} blocks The blocks of the scripts, shared by a target and its clones.
+     * @param {Array.<string>} topBlockIds Ids of the top blocks of the scripts.
+     */
+    stopForScripts (blocks, topBlockIds) {
+        for (let i = 0; i < this.threads.length; i++) {
+            const thread = this.threads[i];
+            if (thread.target && thread.target.blocks === blocks &&
+                topBlockIds.indexOf(thread.topBlock) !== -1) {
+                this._stopThread(thread);
+            }
+        }
+    }
+
     /**
      * Start all threads that start with the green flag.
      */
@@ -1334,6 +1487,8 @@ class Runtime extends EventEmitter {
             this._refreshTargets = false;
         }
 
+        this.changeTracker.emitChanges();
+
         if (!this._prevMonitorState.equals(this._monitorState)) {
             this.emit(Runtime.MONITORS_UPDATE, this._monitorState);
             this._prevMonitorState = this._monitorState;
@@ -1600,6 +1755,20 @@ class Runtime extends EventEmitter {
         }
     }
 
+    /**
+     * Get the first original (non-clone-block-created) video target given a name.
+     * @param {string} videoName Name of video to look for.
+     * @return {?VideoTarget} The video target of the given name.
+     */
+    getVideoTargetByName (videoName) {
+        for (let i = 0; i < this.targets.length; i++) {
+            const target = this.targets[i];
+            if (target instanceof VideoTarget && target.isOriginal && target.name === videoName) {
+                return target;
+            }
+        }
+    }
+
     /**
      * Get a target by its drawable id.
      * @param {number} drawableID drawable id of target to find
@@ -1647,6 +1816,14 @@ class Runtime extends EventEmitter {
         this.emit('targetWasRemoved', target);
     }
 
+    /**
+     * Get the current time of the audio clock shared by all playing sounds.
+     * @return {number} Seconds since the runtime was created.
+     */
+    getAudioTime () {
+        return this._audioClock.timeElapsed() / 1000;
+    }
+
     /**
      * Get a target representing the Scratch stage, if one exists.
      * @return {?Target} The target, if found.
@@ -1690,16 +1867,94 @@ class Runtime extends EventEmitter {
      * Set up timers to repeatedly step in a browser.
      */
     start () {
+        if (this.paused) {
+            this._steppingOnResume = true;
+            return;
+        }
         let interval = Runtime.THREAD_STEP_INTERVAL;
         if (this.compatibilityMode) {
             interval = Runtime.THREAD_STEP_INTERVAL_COMPATIBILITY;
         }
         this.currentStepTime = interval;
+        this.timeSource.useRealTime();
         this._steppingInterval = setInterval(() => {
             this._step();
         }, interval);
     }
 
+    /**
+     * Pause the runtime, keeping everything exactly as it is: stop stepping, and
+     * freeze `timeSource` so thread timers, the project timer and the audio clock
+     * stand still. Playing videos and sounds keep their positions since they
+     * only move when the runtime steps.
+     */
+    pause () {
+        if (this.paused) return;
+        this.paused = true;
+        this._steppingOnResume = this._steppingInterval !== null;
+        if (this._steppingInterval) {
+            clearInterval(this._steppingInterval);
+            this._steppingInterval = null;
+        }
+        this.timeSource.pause();
+        this.emit(Runtime.RUNTIME_PAUSED);
+    }
+
+    /**
+     * Resume a paused runtime from where it left off.
+     */
+    resume () {
+        if (!this.paused) return;
+        this.paused = false;
+        this.timeSource.resume();
+        if (this._steppingOnResume) {
+            this._steppingOnResume = false;
+            this.start();
+        }
+        this.emit(Runtime.RUNTIME_RESUMED);
+    }
+
+    /**
+     * Step the runtime a number of frames on virtual time instead of the wall
+     * clock, e.g. for deterministic tests or rendering a project offline.
+     * Stops the stepping interval started by `start`, and leaves `timeSource`
+     * on virtual time afterwards so further calls continue where this one ended.
+     * Frames stepped while the runtime is paused leave everything as it is.
+     * @param {number} n Number of frames to step.
+     * @param {object=} options Stepping options.
+     * @param {number=} options.stepTimeMs Length of each frame in ms. Defaults to
+     * the interval `start` would use.
+     * @return {Promise} Resolves once all the frames have been stepped.
+     */
+    stepFrames (n, options) {
+        let stepTime = Runtime.THREAD_STEP_INTERVAL;
+        if (this.compatibilityMode) {
+            stepTime = Runtime.THREAD_STEP_INTERVAL_COMPATIBILITY;
+        }
+        if (options && options.stepTimeMs > 0) {
+            stepTime = options.stepTimeMs;
+        }
+        if (this._steppingInterval) {
+            clearInterval(this._steppingInterval);
+            this._steppingInterval = null;
+        }
+        this.timeSource.useVirtualTime();
+        this.currentStepTime = stepTime;
+
+        const stepFrame = remaining => {
+            if (remaining <= 0) return Promise.resolve();
+            this.timeSource.advance(stepTime);
+            // Let promises settled by timeouts that just fired (e.g. "wait")
+            // update their threads before stepping.
+            return new Promise(resolve => setTimeout(resolve, 0)).then(() => {
+                // Frames stepped while paused leave everything as it is
+                if (!this.paused) this._step();
+                return stepFrame(remaining - 1);
+            });
+        };
+        return stepFrame(n);
+    }
+
     /**
      * Turn on profiling.
      * @param {Profiler/FrameCallback} onFrame A callback handle passed a
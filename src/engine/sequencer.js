@@ -1,6 +1,7 @@
 const Timer = require('../util/timer');
 const Thread = require('./thread');
 const execute = require('./execute.js');
+const VideoTarget = require('../steina/video-target.js');
 
 /**
  * Profiler frame name for stepping a single thread.
@@ -69,6 +70,8 @@ class Sequencer {
         // @NOTE (sean): We redefine the work time to be only 1/3 of the step
         //               time which at 30 FPS is ~11ms
         const WORK_TIME = 0.33 * this.runtime.currentStepTime;
+        // Sounds queued during this step all start at the same audio time
+        const audioTime = this.runtime.audioState.currentTime = this.runtime.getAudioTime();
         // Start counting toward WORK_TIME.
         this.timer.start();
         // Count of active threads.
@@ -80,10 +83,13 @@ class Sequencer {
         // 1. We must have threads in the list, and some must be active.
         // 2. Time elapsed must be less than WORK_TIME.
         // 3. Either turbo mode, or no redraw has been requested by a primitive.
+        // 4. On virtual time, only one tick per step so that stepping is
+        //    deterministic (the work timer would never run out).
         while (this.runtime.threads.length > 0 &&
                numActiveThreads > 0 &&
                this.timer.timeElapsed() < WORK_TIME &&
-               (this.runtime.turboMode || !this.runtime.redrawRequested)) {
+               (this.runtime.turboMode || !this.runtime.redrawRequested) &&
+               !(ranFirstTick && this.runtime.timeSource.isVirtual)) {
             if (this.runtime.profiler !== null) {
                 if (stepThreadsInnerProfilerId === -1) {
                     stepThreadsInnerProfilerId = this.runtime.profiler.idByName(stepThreadsInnerProfilerFrame);
@@ -164,6 +170,7 @@ class Sequencer {
         // @NOTE (sean):
         // Update state for playing videos
         var playingVideos = this.runtime.videoState.playing;
+        var traversed = this.runtime.videoState.traversed = {};
         var doneVideoIds = [];
         for (var videoTargetId in playingVideos) {
             var target = this.runtime.getTargetById(videoTargetId);
@@ -184,15 +191,23 @@ class Sequencer {
                 frameIncrement *= -1.0;
             }
 
+            var prevFrame = target.currentFrame;
             var nextFrame = target.currentFrame + frameIncrement;
 
             if ((frameIncrement < 0 && nextFrame <= playingVideo.end)
                 || (frameIncrement > 0 && nextFrame >= playingVideo.end)) {
-                target.setCurrentFrame(playingVideo.end);
-                doneVideoIds.push(videoTargetId);
+                traversed[videoTargetId] = [{from: prevFrame, to: playingVideo.end}];
+                if (!playingVideo.blocking && target.loopMode !== VideoTarget.LOOP_MODES.OFF) {
+                    this.wrapPlayingVideo(target, playingVideo, nextFrame);
+                    traversed[videoTargetId].push({from: playingVideo.start, to: target.currentFrame});
+                } else {
+                    target.setCurrentFrame(playingVideo.end);
+                    doneVideoIds.push(videoTargetId);
+                }
             }
             else {
                 target.setCurrentFrame(nextFrame);
+                traversed[videoTargetId] = [{from: prevFrame, to: target.currentFrame}];
             }
         }
 
@@ -201,22 +216,60 @@ class Sequencer {
             delete this.runtime.videoState.playing[id];
         })
 
+        this.syncVideoAudioTracks();
+
         // @NOTE (sean):
         // And similarly for playing sounds
         var playingSounds = this.runtime.audioState.playing;
         var playingSoundIdsToRemove = [];
+        var traversedSamples = this.runtime.audioState.traversed = {};
         for (var playingSoundId in playingSounds) {
             var sound = playingSounds[playingSoundId];
+            // Audio tracks of videos follow their video instead of the audio clock
+            if (sound.videoTargetId) {
+                continue;
+            }
+            var audioTarget = this.runtime.getTargetById(sound.audioTargetId);
+            if (!audioTarget) {
+                playingSoundIdsToRemove.push(playingSoundId);
+                continue;
+            }
+
+            if (!sound.hasOwnProperty('startTime')) {
+                sound.startTime = audioTime;
+            }
+            if (!sound.hasOwnProperty('playheadTime')) {
+                sound.playheadTime = sound.startTime;
+            }
+            // Paused sounds keep their playhead until the mixer resumes them
+            if (sound.paused) {
+                continue;
+            }
+            // Sounds queued for later wait until the audio clock reaches their start time
+            if (audioTime < sound.startTime) {
+                continue;
+            }
 
             // If the sound finished on the last frame, schedule it for removal
             if (sound.playhead == sound.end) {
                 playingSoundIdsToRemove.push(playingSoundId);
+                this.runtime.startHats('steina_whenSoundFinishes', null, audioTarget);
                 continue;
             }
 
-            // Update rate of the playing sound each frame
-            sound.playbackRate = this.runtime.getTargetById(sound.audioTargetId).playbackRate;
-            var sampleIncrement = (this.runtime.currentStepTime / 1000.0) * sound.sampleRate * (sound.playbackRate / 100.0);
+            if (!sound.started) {
+                sound.started = true;
+                this.runtime.startHats('steina_whenSoundStarts', null, audioTarget);
+            }
+
+            // Update rate and effects of the playing sound each frame
+            sound.playbackRate = audioTarget.playbackRate;
+            sound.effects = Object.assign({}, audioTarget.effects);
+            // Advance by the audio time since the playhead was last moved rather than
+            // by the step time, so that sounds don't drift when steps run late
+            var elapsed = audioTime - sound.playheadTime;
+            sound.playheadTime = audioTime;
+            var sampleIncrement = elapsed * sound.sampleRate * (sound.playbackRate / 100.0);
             if (sound.start < sound.end) {
                 var nextPlayhead = sound.playhead + sampleIncrement;
                 if (nextPlayhead > sound.end) {
@@ -233,28 +286,97 @@ class Sequencer {
                 sound.prevPlayhead = sound.playhead;
                 sound.playhead = nextPlayhead;
             }
-            
-            
+
+            if (!traversedSamples[audioTarget.id]) {
+                traversedSamples[audioTarget.id] = [];
+            }
+            traversedSamples[audioTarget.id].push({from: sound.prevPlayhead, to: sound.playhead});
         }
 
         // Remove all finished sounds
         playingSoundIdsToRemove.forEach( id => {
-            var soundToDelete = playingSounds[id];
-
-            // If this is a nonblocking sound, increment the counter
-            // to allow new sounds to get queued
-            if (!soundToDelete.blocking) {
-                var targetId = soundToDelete.audioTargetId;
-                var target = this.runtime.getTargetById(targetId);
-                target.nonblockingSoundsAvailable++;
-            }
-
             delete this.runtime.audioState.playing[id];
         })
 
         return doneThreads;
     }
 
+    /**
+     * Keep the audio tracks of playing videos in `audioState.playing`. A track's
+     * playhead is set from its video's current frame every step rather than
+     * advanced on its own, so the sound stays in sync when the video is seeked,
+     * reversed or changes rate. Tracks of videos which stopped are removed.
+     */
+    syncVideoAudioTracks () {
+        const playingSounds = this.runtime.audioState.playing;
+        const playingVideos = this.runtime.videoState.playing;
+        const audioTime = this.runtime.audioState.currentTime;
+        for (const soundId in playingSounds) {
+            const videoTargetId = playingSounds[soundId].videoTargetId;
+            if (!videoTargetId) continue;
+            const target = this.runtime.getTargetById(videoTargetId);
+            if (!playingVideos[videoTargetId] || !target || !target.audioTrack) {
+                delete playingSounds[soundId];
+            }
+        }
+        for (const videoTargetId in playingVideos) {
+            const target = this.runtime.getTargetById(videoTargetId);
+            if (!target || !target.audioTrack) continue;
+            const playingVideo = playingVideos[videoTargetId];
+            const soundId = `${videoTargetId}-audioTrack`;
+            const traversed = this.runtime.videoState.traversed[videoTargetId];
+            const sound = playingSounds[soundId] || {
+                videoTargetId: videoTargetId,
+                blocking: false,
+                started: true,
+                startTime: audioTime
+            };
+            // The host plays the track's clip, which may change while the video plays.
+            // The track belongs to the video, not to the audio target the clip came
+            // from, so it has no `audioTargetId` and isn't mixed with that target's sounds
+            sound.clipId = target.audioTrack.id;
+            sound.volume = this.runtime.mixer.getTrackVolume();
+            sound.sampleRate = target.audioTrack.sampleRate;
+            sound.start = target.frameToSample(playingVideo.start);
+            sound.end = target.frameToSample(playingVideo.end);
+            sound.playbackRate = target.playbackRate;
+            // Where the video played from during this step, which differs from the
+            // last playhead if the video was seeked
+            sound.playhead = target.frameToSample(target.currentFrame);
+            sound.prevPlayhead = traversed ? target.frameToSample(traversed[0].from) : sound.playhead;
+            sound.playheadTime = audioTime;
+            playingSounds[soundId] = sound;
+        }
+    }
+
+    /**
+     * Wrap a looping, non-blocking video around once it plays past the end of
+     * its trimmed range, carrying over the part of the frame increment that
+     * overshot the end so the loop stays seamless.
+     * @param {!VideoTarget} target The video target being played.
+     * @param {!object} playingVideo The target's entry in `videoState.playing`.
+     * @param {number} nextFrame The frame the video would have advanced to.
+     */
+    wrapPlayingVideo (target, playingVideo, nextFrame) {
+        const forward = playingVideo.end >= playingVideo.start;
+        const length = target.trimEnd - target.trimStart;
+        if (length <= 0) {
+            target.setCurrentFrame(target.trimStart);
+            return;
+        }
+        const overshoot = Math.abs(nextFrame - playingVideo.end) % length;
+        // Ping-pong bounces back from the boundary, loop jumps to the other one
+        const playForward = (target.loopMode === VideoTarget.LOOP_MODES.PING_PONG) ? !forward : forward;
+        if (playForward) {
+            playingVideo.start = target.trimStart;
+            playingVideo.end = target.trimEnd;
+        } else {
+            playingVideo.start = target.trimEnd;
+            playingVideo.end = target.trimStart;
+        }
+        target.setCurrentFrame(playingVideo.start + (playForward ? overshoot : -overshoot));
+    }
+
     /**
      * Step the requested thread for as long as necessary.
      * @param {!Thread} thread Thread object to step.
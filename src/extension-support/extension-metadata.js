@@ -20,6 +20,10 @@
  * @property {Boolean} [hideFromPalette] - true if this block should not appear in the block palette.
  * @property {Boolean} [isTerminal] - true if the block ends a stack - no blocks can be connected after it.
  * @property {ReporterScope} [reporterScope] - if this block is a reporter, this is the scope/context for its value.
+ * @property {Boolean} [checkboxInFlyout] - for reporters without arguments, true if the block has a checkbox in the
+ * palette to show its value in a stage monitor.
+ * @property {Boolean} [isSpriteSpecific] - for monitored reporters, true if the monitor reports the value for the
+ * target which was being edited when it was checked, like "x position".
  * @property {Boolean} [isEdgeActivated] - sets whether a hat block is edge-activated.
  * @property {Boolean} [shouldRestartExistingThreads] - sets whether a hat/event block should restart existing threads.
  * @property {int} [branchCount] - for flow control blocks, the number of branches/substacks for this block.
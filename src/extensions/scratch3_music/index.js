@@ -811,7 +811,7 @@ class Scratch3MusicBlocks {
      * @private
      */
     _startStackTimer (util, duration) {
-        util.stackFrame.timer = new Timer();
+        util.stackFrame.timer = new Timer(this.runtime.timeSource);
         util.stackFrame.timer.start();
         util.stackFrame.duration = duration;
         util.yield();
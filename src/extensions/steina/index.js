@@ -4,10 +4,14 @@ const formatMessage = require('format-message');
 const log = require('../../util/log');
 const VideoTarget = require('../../steina/video-target.js');
 const AudioTarget = require('../../steina/audio-target.js');
+const Markers = require('../../steina/markers.js');
 const Thread = require('../../engine/thread.js');
 const MathUtil = require('../../util/math-util.js');
 const uid = require('../../util/uid.js');
 const Cast = require('../../util/cast');
+const GestureRecognizer = require('../../io/gesture-recognizer');
+const Mixer = require('../../steina/mixer');
+const DrawOrder = require('../../steina/draw-order');
 
 /**
  * Icon svg to be displayed at the left edge of each extension block, encoded as a data URI.
@@ -24,8 +28,29 @@ const VideoDirections = {
 const VideoEffects = {
     COLOR:        'color',
     WHIRL:        'whirl',
+    BRIGHTNESS:   'brightness',
+    GHOST:        'ghost',
+    PIXELATE:     'pixelate',
+    MOSAIC:       'mosaic',
+    FISHEYE:      'fisheye',
     CRYSTALLIZE:  'crystallize',
-    KALEIDOSCOPE: 'kaleidoscope'
+    KALEIDOSCOPE: 'kaleidoscope',
+    SATURATION:   'saturation',
+    CONTRAST:     'contrast'
+};
+
+const AudioEffects = {
+    PITCH:    'pitch',
+    PAN:      'pan',
+    REVERB:   'reverb',
+    ECHO:     'echo',
+    LOWPASS:  'lowpass',
+    HIGHPASS: 'highpass'
+};
+
+const MixerStates = {
+    ON:  'on',
+    OFF: 'off'
 };
 
 const TiltDirections = {
@@ -43,6 +68,10 @@ const CardinalDirections = {
     WEST:  'west'
 }
 
+const SwipeDirections = GestureRecognizer.SWIPE_DIRECTIONS;
+
+const PinchDirections = GestureRecognizer.PINCH_DIRECTIONS;
+
 const TILT_THRESHOLD = 15.0;
 const COMPASS_THRESHOLD = 20.0; // 10 degrees on either side
 
@@ -60,14 +89,17 @@ class SteinaBlocks {
         this.runtime = runtime;
 
         if (this.runtime) {
+            // Speech and thought bubbles of video targets are drawn by the host
+            this.runtime.on('SAY', (target, type, text) => {
+                if (target instanceof VideoTarget) {
+                    target.setSay(type, text);
+                }
+            });
             this.runtime.on('PROJECT_STOP_ALL', () => {
                 this.runtime.videoState.playing = {};
+                this.runtime.videoState.traversed = {};
                 this.runtime.audioState.playing = {};
-                this.runtime.targets.forEach(t => {
-                    if (t.hasOwnProperty("nonblockingSoundsAvailable")) {
-                        t.nonblockingSoundsAvailable = AudioTarget.MAX_SIMULTANEOUS_NONBLOCKING_SOUNDS;
-                    }
-                })
+                this.runtime.audioState.traversed = {};
             });
         }
     }
@@ -105,12 +137,12 @@ class SteinaBlocks {
                         MARKER_A: {
                             type: ArgumentType.STRING,
                             menu: 'markers',
-                            defaultValue: 'start'
+                            defaultValue: Markers.START
                         },
                         MARKER_B: {
                             type: ArgumentType.STRING,
                             menu: 'markers',
-                            defaultValue: 'end'
+                            defaultValue: Markers.END
                         }
                     }
                 },
@@ -168,6 +200,23 @@ class SteinaBlocks {
                         description: 'stops the video at the current frame, if necessary'
                     })
                 },
+                {
+                    opcode: 'setLoopMode',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'steina.video.setLoopMode',
+                        default: 'set looping to [LOOP_MODE]',
+                        description: 'sets whether videos started without blocking stop at the end, ' +
+                                     'loop back to the start, or bounce back and forth (ping-pong)'
+                    }),
+                    arguments: {
+                        LOOP_MODE: {
+                            type: ArgumentType.STRING,
+                            menu: 'loopModes',
+                            defaultValue: VideoTarget.LOOP_MODES.LOOP
+                        }
+                    }
+                },
                 {
                     opcode: 'goToFrame',
                     blockType: BlockType.COMMAND,
@@ -179,7 +228,7 @@ class SteinaBlocks {
                     arguments: {
                         FRAME: {
                             type: ArgumentType.NUMBER,
-                            defaultValue: 0
+                            defaultValue: 1
                         }
                     }
                 },
@@ -199,6 +248,52 @@ class SteinaBlocks {
                         }
                     }
                 },
+                {
+                    opcode: 'goToSeconds',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'steina.video.goToSeconds',
+                        default: 'jump to [SECONDS] seconds',
+                        description: 'sets the current video position to the given time from the start of the trim'
+                    }),
+                    arguments: {
+                        SECONDS: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 1
+                        }
+                    }
+                },
+                {
+                    opcode: 'goToPercent',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'steina.video.goToPercent',
+                        default: 'jump to [PERCENT] % of the way through',
+                        description: 'sets the current video position to the given fraction of the trimmed video'
+                    }),
+                    arguments: {
+                        PERCENT: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 50
+                        }
+                    }
+                },
+                {
+                    opcode: 'playForSeconds',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'steina.video.playForSeconds',
+                        default: 'play for [SECONDS] seconds until done',
+                        description: 'plays SECONDS seconds of the video at the current playback rate ' +
+                                     'blocking the thread until completion'
+                    }),
+                    arguments: {
+                        SECONDS: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 1
+                        }
+                    }
+                },
                 {
                     opcode: 'playForwardUntilDone',
                     blockType: BlockType.COMMAND,
@@ -251,7 +346,7 @@ class SteinaBlocks {
                             menu: 'effects',
                             defaultValue: VideoEffects.COLOR
                         },
-                        VALUE: {
+                        CHANGE: {
                             type: ArgumentType.NUMBER,
                             defaultValue: 5
                         }
@@ -326,16 +421,19 @@ class SteinaBlocks {
                         default: 'when tapped',
                         description: 'triggers when the video is tapped by the user'
                     }),
-                    blockType: BlockType.HAT
+                    blockType: BlockType.EVENT,
+                    isEdgeActivated: false
                 },
                 {
                     opcode: 'getCurrentFrame',
                     text: formatMessage({
                         id: 'steina.video.getCurrentFrame',
                         default: 'current frame',
-                        description: 'reports the current frame of the video'
+                        description: 'reports the current frame of the video, counting from 1 at the start of the trim'
                     }),
-                    blockType: BlockType.REPORTER
+                    blockType: BlockType.REPORTER,
+                    checkboxInFlyout: true,
+                    isSpriteSpecific: true
                 },
                 {
                     opcode: 'getTotalFrames',
@@ -344,7 +442,65 @@ class SteinaBlocks {
                         default: 'total frames',
                         description: 'reports the length of the video in frames'
                     }),
-                    blockType: BlockType.REPORTER
+                    blockType: BlockType.REPORTER,
+                    checkboxInFlyout: true,
+                    isSpriteSpecific: true
+                },
+                {
+                    opcode: 'getCurrentTime',
+                    text: formatMessage({
+                        id: 'steina.video.getCurrentTime',
+                        default: 'current time',
+                        description: 'reports how far the video is from the start of the trim, in seconds'
+                    }),
+                    blockType: BlockType.REPORTER,
+                    checkboxInFlyout: true,
+                    isSpriteSpecific: true
+                },
+                {
+                    opcode: 'getDuration',
+                    text: formatMessage({
+                        id: 'steina.video.getDuration',
+                        default: 'duration',
+                        description: 'reports the length of the video in seconds'
+                    }),
+                    blockType: BlockType.REPORTER,
+                    checkboxInFlyout: true,
+                    isSpriteSpecific: true
+                },
+                {
+                    opcode: 'getFps',
+                    text: formatMessage({
+                        id: 'steina.video.getFps',
+                        default: 'frames per second',
+                        description: 'reports the frame rate the video was recorded at'
+                    }),
+                    blockType: BlockType.REPORTER,
+                    checkboxInFlyout: true,
+                    isSpriteSpecific: true
+                },
+                {
+                    opcode: 'isPlaying',
+                    text: formatMessage({
+                        id: 'steina.video.isPlaying',
+                        default: 'playing?',
+                        description: 'reports if the video is currently playing'
+                    }),
+                    blockType: BlockType.BOOLEAN,
+                    checkboxInFlyout: true,
+                    isSpriteSpecific: true
+                },
+                {
+                    opcode: 'getPlayDirection',
+                    text: formatMessage({
+                        id: 'steina.video.getPlayDirection',
+                        default: 'play direction',
+                        description: 'reports "forward" or "reverse" while the video is playing, ' +
+                                     'or nothing when it is stopped'
+                    }),
+                    blockType: BlockType.REPORTER,
+                    checkboxInFlyout: true,
+                    isSpriteSpecific: true
                 },
 
                 {
@@ -356,6 +512,86 @@ class SteinaBlocks {
                     }),
                     blockType: BlockType.BOOLEAN
                 },
+                {
+                    opcode: 'isTouchingVideo',
+                    text: formatMessage({
+                        id: 'steina.video.isTouchingVideo',
+                        default: 'touching [VIDEO]?',
+                        description: 'reports if the video overlaps another video or any of its clones'
+                    }),
+                    blockType: BlockType.BOOLEAN,
+                    arguments: {
+                        VIDEO: {
+                            type: ArgumentType.STRING,
+                            menu: 'videoTargets'
+                        }
+                    }
+                },
+                {
+                    opcode: 'isTouchingEdge',
+                    text: formatMessage({
+                        id: 'steina.video.isTouchingEdge',
+                        default: 'touching edge?',
+                        description: 'reports if any part of the video is outside of the stage'
+                    }),
+                    blockType: BlockType.BOOLEAN
+                },
+                {
+                    opcode: 'getDistanceToVideo',
+                    text: formatMessage({
+                        id: 'steina.video.getDistanceToVideo',
+                        default: 'distance to [VIDEO]',
+                        description: 'reports the distance between the centers of this video and another video'
+                    }),
+                    blockType: BlockType.REPORTER,
+                    arguments: {
+                        VIDEO: {
+                            type: ArgumentType.STRING,
+                            menu: 'videoTargets'
+                        }
+                    }
+                },
+                {
+                    opcode: 'goBehind',
+                    text: formatMessage({
+                        id: 'steina.video.goBehind',
+                        default: 'go behind [TARGET]',
+                        description: 'moves the video or sprite directly behind another video or sprite'
+                    }),
+                    blockType: BlockType.COMMAND,
+                    arguments: {
+                        TARGET: {
+                            type: ArgumentType.STRING,
+                            menu: 'layeredTargets'
+                        }
+                    }
+                },
+                {
+                    opcode: 'getLayer',
+                    text: formatMessage({
+                        id: 'steina.video.getLayer',
+                        default: 'layer',
+                        description: 'reports the layer of the video or sprite, counting from 1 at the back'
+                    }),
+                    blockType: BlockType.REPORTER,
+                    checkboxInFlyout: true,
+                    isSpriteSpecific: true
+                },
+                {
+                    opcode: 'getLayerOf',
+                    text: formatMessage({
+                        id: 'steina.video.getLayerOf',
+                        default: 'layer of [TARGET]',
+                        description: 'reports the layer of another video or sprite, counting from 1 at the back'
+                    }),
+                    blockType: BlockType.REPORTER,
+                    arguments: {
+                        TARGET: {
+                            type: ArgumentType.STRING,
+                            menu: 'layeredTargets'
+                        }
+                    }
+                },
 
                 // Audio
                 {
@@ -376,6 +612,37 @@ class SteinaBlocks {
                         description: 'plays the entire sound while blocking execution'
                     })
                 },
+                {
+                    opcode: 'startSoundAfterDelay',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'steina.audio.startSoundAfterDelay',
+                        default: 'start sound in [DELAY] seconds',
+                        description: 'queues the entire sound to start playing after a delay, without blocking'
+                    }),
+                    arguments: {
+                        DELAY: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 1
+                        }
+                    }
+                },
+                {
+                    opcode: 'startSoundOnBeat',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'steina.audio.startSoundOnBeat',
+                        default: 'start sound in [BEATS] beats',
+                        description: 'queues the entire sound to start playing exactly on an upcoming beat, ' +
+                                     'without blocking'
+                    }),
+                    arguments: {
+                        BEATS: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 1
+                        }
+                    }
+                },
                 {
                     opcode: 'startSoundFromAToB',
                     blockType: BlockType.COMMAND,
@@ -387,11 +654,13 @@ class SteinaBlocks {
                     arguments: {
                         MARKER_A: {
                             type: ArgumentType.STRING,
-                            menu: 'markers'
+                            menu: 'markers',
+                            defaultValue: Markers.START
                         },
                         MARKER_B: {
                             type: ArgumentType.STRING,
-                            menu: 'markers'
+                            menu: 'markers',
+                            defaultValue: Markers.END
                         }
                     }
                 },
@@ -406,14 +675,52 @@ class SteinaBlocks {
                     arguments: {
                         MARKER_A: {
                             type: ArgumentType.STRING,
-                            menu: 'markers'
+                            menu: 'markers',
+                            defaultValue: Markers.START
                         },
                         MARKER_B: {
                             type: ArgumentType.STRING,
-                            menu: 'markers'
+                            menu: 'markers',
+                            defaultValue: Markers.END
                         }
                     }
                 },
+                {
+                    opcode: 'stopSoundsOfClip',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'steina.audio.stopSoundsOfClip',
+                        default: 'stop all sounds of this clip',
+                        description: 'stops every sound the audio clip is playing'
+                    })
+                },
+                {
+                    opcode: 'stopSoundsOfScript',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'steina.audio.stopSoundsOfScript',
+                        default: 'stop sounds of this script',
+                        description: 'stops the sounds of the audio clip which were started by this script'
+                    })
+                },
+                {
+                    opcode: 'pauseSounds',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'steina.audio.pauseSounds',
+                        default: 'pause sounds',
+                        description: 'pauses every sound the audio clip is playing, keeping their positions'
+                    })
+                },
+                {
+                    opcode: 'resumeSounds',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'steina.audio.resumeSounds',
+                        default: 'resume sounds',
+                        description: 'resumes the paused sounds of the audio clip from where they were paused'
+                    })
+                },
                 {
                     opcode: 'setVolumeTo',
                     blockType: BlockType.COMMAND,
@@ -453,6 +760,166 @@ class SteinaBlocks {
                     }),
                     blockType: BlockType.REPORTER
                 },
+                {
+                    opcode: 'setMute',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'steina.audio.setMute',
+                        default: 'turn mute [STATE]',
+                        description: 'mutes or unmutes the audio clip in the mixer'
+                    }),
+                    arguments: {
+                        STATE: {
+                            type: ArgumentType.STRING,
+                            menu: 'onOff',
+                            defaultValue: MixerStates.ON
+                        }
+                    }
+                },
+                {
+                    opcode: 'setSolo',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'steina.audio.setSolo',
+                        default: 'turn solo [STATE]',
+                        description: 'solos the audio clip in the mixer, silencing clips which are not soloed'
+                    }),
+                    arguments: {
+                        STATE: {
+                            type: ArgumentType.STRING,
+                            menu: 'onOff',
+                            defaultValue: MixerStates.ON
+                        }
+                    }
+                },
+                {
+                    opcode: 'setDucking',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'steina.audio.setDucking',
+                        default: 'duck other sounds by [DUCKING] %',
+                        description: 'sets how much the other audio clips are lowered while this clip plays'
+                    }),
+                    arguments: {
+                        DUCKING: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 50
+                        }
+                    }
+                },
+                {
+                    opcode: 'setMasterVolumeTo',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'steina.audio.setMasterVolumeTo',
+                        default: 'set master volume to [VALUE] %',
+                        description: 'sets the volume of all audio clips, clamping between 0 and 100'
+                    }),
+                    arguments: {
+                        VALUE: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 100
+                        }
+                    }
+                },
+                {
+                    opcode: 'getMasterVolume',
+                    text: formatMessage({
+                        id: 'steina.audio.getMasterVolume',
+                        default: 'master volume',
+                        description: 'reports the volume applied to all audio clips'
+                    }),
+                    blockType: BlockType.REPORTER
+                },
+                {
+                    opcode: 'setMaxVoices',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'steina.audio.setMaxVoices',
+                        default: 'set max voices to [VOICES]',
+                        description: 'sets how many sounds the audio clip can play at once'
+                    }),
+                    arguments: {
+                        VOICES: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: AudioTarget.DEFAULT_MAX_VOICES
+                        }
+                    }
+                },
+                {
+                    opcode: 'setVoiceStealing',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'steina.audio.setVoiceStealing',
+                        default: 'when out of voices [POLICY]',
+                        description: 'sets what happens when the audio clip starts a sound while playing its max voices'
+                    }),
+                    arguments: {
+                        POLICY: {
+                            type: ArgumentType.STRING,
+                            menu: 'voiceStealing',
+                            defaultValue: Mixer.VOICE_STEALING.OLDEST
+                        }
+                    }
+                },
+                {
+                    opcode: 'getPlayingVoices',
+                    text: formatMessage({
+                        id: 'steina.audio.getPlayingVoices',
+                        default: 'voices playing',
+                        description: 'reports how many sounds the audio clip is playing'
+                    }),
+                    blockType: BlockType.REPORTER
+                },
+                {
+                    opcode: 'changeAudioEffectBy',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'steina.audio.changeAudioEffectBy',
+                        default: 'change [EFFECT] sound effect by [CHANGE]',
+                        description: 'changes the selected sound effect of the audio clip by the specified value'
+                    }),
+                    arguments: {
+                        EFFECT: {
+                            type: ArgumentType.STRING,
+                            menu: 'audioEffects',
+                            defaultValue: AudioEffects.PITCH
+                        },
+                        CHANGE: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 10
+                        }
+                    }
+                },
+                {
+                    opcode: 'setAudioEffectTo',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'steina.audio.setAudioEffectTo',
+                        default: 'set [EFFECT] sound effect to [VALUE]',
+                        description: 'sets the selected sound effect of the audio clip'
+                    }),
+                    arguments: {
+                        EFFECT: {
+                            type: ArgumentType.STRING,
+                            menu: 'audioEffects',
+                            defaultValue: AudioEffects.PITCH
+                        },
+                        VALUE: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 100
+                        }
+                    }
+                },
+                {
+                    opcode: 'clearAudioEffects',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'steina.audio.clearAudioEffects',
+                        default: 'clear sound effects',
+                        description: 'reset the sound effects of the audio clip to the default'
+                    })
+                },
 
                 // Shared Audio and Video
                 {
@@ -492,7 +959,143 @@ class SteinaBlocks {
                         default: 'play rate',
                         description: 'reports the current play rate of the audio clip'
                     }),
-                    blockType: BlockType.REPORTER
+                    blockType: BlockType.REPORTER
+                },
+                {
+                    opcode: 'setTempo',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'steina.audio.setTempo',
+                        default: 'set tempo to [TEMPO]',
+                        description: 'sets the tempo in beats per minute used to start sounds on a beat'
+                    }),
+                    arguments: {
+                        TEMPO: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 60
+                        }
+                    }
+                },
+                {
+                    opcode: 'getTempo',
+                    text: formatMessage({
+                        id: 'steina.audio.getTempo',
+                        default: 'tempo',
+                        description: 'reports the tempo in beats per minute'
+                    }),
+                    blockType: BlockType.REPORTER
+                },
+                {
+                    opcode: 'whenSoundStarts',
+                    text: formatMessage({
+                        id: 'steina.audio.whenSoundStarts',
+                        default: 'when sound starts',
+                        description: 'triggers when the audio clip starts playing'
+                    }),
+                    blockType: BlockType.EVENT,
+                    isEdgeActivated: false
+                },
+                {
+                    opcode: 'whenSoundReached',
+                    text: formatMessage({
+                        id: 'steina.audio.whenSoundReached',
+                        default: 'when sound reaches [MARKER]',
+                        description: 'triggers when the audio clip is playing and passes/reaches ' +
+                                     'the specified marker or start/end point'
+                    }),
+                    blockType: BlockType.HAT,
+                    arguments: {
+                        MARKER: {
+                            type: ArgumentType.STRING,
+                            menu: 'markers',
+                            defaultValue: Markers.END
+                        }
+                    }
+                },
+                {
+                    opcode: 'whenSoundFinishes',
+                    text: formatMessage({
+                        id: 'steina.audio.whenSoundFinishes',
+                        default: 'when sound finishes',
+                        description: 'triggers when the audio clip finishes playing'
+                    }),
+                    blockType: BlockType.EVENT,
+                    isEdgeActivated: false
+                },
+
+                // Touch
+                {
+                    opcode: 'getTouchCount',
+                    text: formatMessage({
+                        id: 'steina.touch.getTouchCount',
+                        default: 'number of touches',
+                        description: 'reports how many fingers are touching the screen'
+                    }),
+                    blockType: BlockType.REPORTER
+                },
+                {
+                    opcode: 'getTouchX',
+                    text: formatMessage({
+                        id: 'steina.touch.getTouchX',
+                        default: 'touch [INDEX] x',
+                        description: 'reports the x position of a finger touching the screen'
+                    }),
+                    blockType: BlockType.REPORTER,
+                    arguments: {
+                        INDEX: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 1
+                        }
+                    }
+                },
+                {
+                    opcode: 'getTouchY',
+                    text: formatMessage({
+                        id: 'steina.touch.getTouchY',
+                        default: 'touch [INDEX] y',
+                        description: 'reports the y position of a finger touching the screen'
+                    }),
+                    blockType: BlockType.REPORTER,
+                    arguments: {
+                        INDEX: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 1
+                        }
+                    }
+                },
+                {
+                    opcode: 'whenSwiped',
+                    text: formatMessage({
+                        id: 'steina.touch.whenSwiped',
+                        default: 'when swiped [DIRECTION]',
+                        description: 'triggers when a finger swipes across the screen in a direction'
+                    }),
+                    blockType: BlockType.EVENT,
+                    isEdgeActivated: false,
+                    arguments: {
+                        DIRECTION: {
+                            type: ArgumentType.STRING,
+                            menu: 'swipeDirections',
+                            defaultValue: SwipeDirections.LEFT
+                        }
+                    }
+                },
+                {
+                    opcode: 'whenPinched',
+                    text: formatMessage({
+                        id: 'steina.touch.whenPinched',
+                        default: 'when pinched [DIRECTION]',
+                        description: 'triggers when two fingers pinch in or spread out on the screen'
+                    }),
+                    blockType: BlockType.EVENT,
+                    isEdgeActivated: false,
+                    arguments: {
+                        DIRECTION: {
+                            type: ArgumentType.STRING,
+                            menu: 'pinchDirections',
+                            defaultValue: PinchDirections.IN
+                        }
+                    }
                 },
 
                 // Motion
@@ -605,6 +1208,32 @@ class SteinaBlocks {
                         value: VideoDirections.REVERSE
                     }
                 ],
+                loopModes: [
+                    {
+                        text: formatMessage({
+                            id: 'steina.video.loopModesMenu.off',
+                            default: 'off',
+                            description: 'label for playing a video once without looping'
+                        }),
+                        value: VideoTarget.LOOP_MODES.OFF
+                    },
+                    {
+                        text: formatMessage({
+                            id: 'steina.video.loopModesMenu.loop',
+                            default: 'loop',
+                            description: 'label for looping a video back to the start when reaching the end'
+                        }),
+                        value: VideoTarget.LOOP_MODES.LOOP
+                    },
+                    {
+                        text: formatMessage({
+                            id: 'steina.video.loopModesMenu.pingPong',
+                            default: 'ping-pong',
+                            description: 'label for playing a video back and forth between the start and the end'
+                        }),
+                        value: VideoTarget.LOOP_MODES.PING_PONG
+                    }
+                ],
                 effects: [
                     {
                         text: formatMessage({
@@ -637,23 +1266,63 @@ class SteinaBlocks {
                             description: 'label for ghost element in effects picker for video extension'
                         }),
                         value: VideoEffects.GHOST
+                    },
+                    {
+                        text: formatMessage({
+                            id: 'steina.video.effectsMenu.pixelate',
+                            default: 'pixelate',
+                            description: 'label for pixelate element in effects picker for video extension'
+                        }),
+                        value: VideoEffects.PIXELATE
+                    },
+                    {
+                        text: formatMessage({
+                            id: 'steina.video.effectsMenu.mosaic',
+                            default: 'mosaic',
+                            description: 'label for mosaic element in effects picker for video extension'
+                        }),
+                        value: VideoEffects.MOSAIC
+                    },
+                    {
+                        text: formatMessage({
+                            id: 'steina.video.effectsMenu.fisheye',
+                            default: 'fisheye',
+                            description: 'label for fisheye element in effects picker for video extension'
+                        }),
+                        value: VideoEffects.FISHEYE
+                    },
+                    {
+                        text: formatMessage({
+                            id: 'steina.video.effectsMenu.crystallize',
+                            default: 'crystallize',
+                            description: 'label for crystallize element in effects picker for video extension'
+                        }),
+                        value: VideoEffects.CRYSTALLIZE
+                    },
+                    {
+                        text: formatMessage({
+                            id: 'steina.video.effectsMenu.kaleidoscope',
+                            default: 'kaleidoscope',
+                            description: 'label for kaleidoscope element in effects picker for video extension'
+                        }),
+                        value: VideoEffects.KALEIDOSCOPE
+                    },
+                    {
+                        text: formatMessage({
+                            id: 'steina.video.effectsMenu.saturation',
+                            default: 'saturation',
+                            description: 'label for saturation element in effects picker for video extension'
+                        }),
+                        value: VideoEffects.SATURATION
+                    },
+                    {
+                        text: formatMessage({
+                            id: 'steina.video.effectsMenu.contrast',
+                            default: 'contrast',
+                            description: 'label for contrast element in effects picker for video extension'
+                        }),
+                        value: VideoEffects.CONTRAST
                     }
-                    // {
-                    //     text: formatMessage({
-                    //         id: 'video.effectsMenu.crystallize',
-                    //         default: 'crystallize',
-                    //         description: 'label for crystallize element in effects picker for video extension'
-                    //     }),
-                    //     value: VideoEffects.CRYSTALLIZE
-                    // },
-                    // {
-                    //     text: formatMessage({
-                    //         id: 'video.effectsMenu.kaleidoscope',
-                    //         default: 'kaleidoscope',
-                    //         description: 'label for kaleidoscope element in effects picker for video extension'
-                    //     }),
-                    //     value: VideoEffects.KALEIDOSCOPE
-                    // }
                 ],
                 tiltDirections: [
                     {
@@ -689,6 +1358,152 @@ class SteinaBlocks {
                         value: TiltDirections.BACKWARD
                     }
                 ],
+                audioEffects: [
+                    {
+                        text: formatMessage({
+                            id: 'steina.audio.effectsMenu.pitch',
+                            default: 'pitch',
+                            description: 'label for pitch element in effects picker for audio clips'
+                        }),
+                        value: AudioEffects.PITCH
+                    },
+                    {
+                        text: formatMessage({
+                            id: 'steina.audio.effectsMenu.pan',
+                            default: 'pan left/right',
+                            description: 'label for pan element in effects picker for audio clips'
+                        }),
+                        value: AudioEffects.PAN
+                    },
+                    {
+                        text: formatMessage({
+                            id: 'steina.audio.effectsMenu.reverb',
+                            default: 'reverb',
+                            description: 'label for reverb element in effects picker for audio clips'
+                        }),
+                        value: AudioEffects.REVERB
+                    },
+                    {
+                        text: formatMessage({
+                            id: 'steina.audio.effectsMenu.echo',
+                            default: 'echo',
+                            description: 'label for echo element in effects picker for audio clips'
+                        }),
+                        value: AudioEffects.ECHO
+                    },
+                    {
+                        text: formatMessage({
+                            id: 'steina.audio.effectsMenu.lowpass',
+                            default: 'low pass',
+                            description: 'label for low pass filter element in effects picker for audio clips'
+                        }),
+                        value: AudioEffects.LOWPASS
+                    },
+                    {
+                        text: formatMessage({
+                            id: 'steina.audio.effectsMenu.highpass',
+                            default: 'high pass',
+                            description: 'label for high pass filter element in effects picker for audio clips'
+                        }),
+                        value: AudioEffects.HIGHPASS
+                    }
+                ],
+                onOff: [
+                    {
+                        text: formatMessage({
+                            id: 'steina.audio.onOffMenu.on',
+                            default: 'on',
+                            description: 'label for turning a mixer setting on'
+                        }),
+                        value: MixerStates.ON
+                    },
+                    {
+                        text: formatMessage({
+                            id: 'steina.audio.onOffMenu.off',
+                            default: 'off',
+                            description: 'label for turning a mixer setting off'
+                        }),
+                        value: MixerStates.OFF
+                    }
+                ],
+                voiceStealing: [
+                    {
+                        text: formatMessage({
+                            id: 'steina.audio.voiceStealingMenu.oldest',
+                            default: 'stop oldest sound',
+                            description: 'label for stopping the oldest sound to make room for a new one'
+                        }),
+                        value: Mixer.VOICE_STEALING.OLDEST
+                    },
+                    {
+                        text: formatMessage({
+                            id: 'steina.audio.voiceStealingMenu.quietest',
+                            default: 'stop quietest sound',
+                            description: 'label for stopping the quietest sound to make room for a new one'
+                        }),
+                        value: Mixer.VOICE_STEALING.QUIETEST
+                    },
+                    {
+                        text: formatMessage({
+                            id: 'steina.audio.voiceStealingMenu.refuse',
+                            default: 'ignore new sounds',
+                            description: 'label for not playing new sounds while all voices are in use'
+                        }),
+                        value: Mixer.VOICE_STEALING.REFUSE
+                    }
+                ],
+                swipeDirections: [
+                    {
+                        text: formatMessage({
+                            id: 'steina.swipeDirectionMenu.left',
+                            default: 'left',
+                            description: 'label for left element in swipe direction picker'
+                        }),
+                        value: SwipeDirections.LEFT
+                    },
+                    {
+                        text: formatMessage({
+                            id: 'steina.swipeDirectionMenu.right',
+                            default: 'right',
+                            description: 'label for right element in swipe direction picker'
+                        }),
+                        value: SwipeDirections.RIGHT
+                    },
+                    {
+                        text: formatMessage({
+                            id: 'steina.swipeDirectionMenu.up',
+                            default: 'up',
+                            description: 'label for up element in swipe direction picker'
+                        }),
+                        value: SwipeDirections.UP
+                    },
+                    {
+                        text: formatMessage({
+                            id: 'steina.swipeDirectionMenu.down',
+                            default: 'down',
+                            description: 'label for down element in swipe direction picker'
+                        }),
+                        value: SwipeDirections.DOWN
+                    }
+                ],
+                pinchDirections: [
+                    {
+                        text: formatMessage({
+                            id: 'steina.pinchDirectionMenu.in',
+                            default: 'in',
+                            description: 'label for fingers closing in, in pinch direction picker'
+                        }),
+                        value: PinchDirections.IN
+                    },
+                    {
+                        text: formatMessage({
+                            id: 'steina.pinchDirectionMenu.out',
+                            default: 'out',
+                            description: 'label for fingers spreading out, in pinch direction picker'
+                        }),
+                        value: PinchDirections.OUT
+                    }
+                ],
                 cardinalDirections: [
                     {
                         text: formatMessage({
@@ -723,7 +1538,9 @@ class SteinaBlocks {
                         value: CardinalDirections.WEST
                     }
                 ],
-                markers: '_buildMarkersMenu'
+                markers: '_buildMarkersMenu',
+                videoTargets: '_buildVideoTargetsMenu',
+                layeredTargets: '_buildLayeredTargetsMenu'
             }
         };
     }
@@ -748,15 +1565,15 @@ class SteinaBlocks {
                         default: 'start',
                         description: 'label for the start of the video or audio clip'
                     }),
-                    value: target.trimStart.toString()
+                    value: Markers.START
                 }
             ];
 
             for (var i = 0; i < markers.length; ++i) {
                 var marker = markers[i];
                 menuItems.push({
-                    text: (i + 1).toString(),
-                    value: marker.toString()
+                    text: marker.name,
+                    value: marker.id
                 })
             }
 
@@ -766,7 +1583,7 @@ class SteinaBlocks {
                         default: 'end',
                         description: 'label for the end of the video or audio clip'
                     }),
-                value: target.trimEnd.toString()
+                value: Markers.END
             });
 
             return menuItems;
@@ -780,6 +1597,53 @@ class SteinaBlocks {
         ]
     }
 
+    _buildVideoTargetsMenu(targetId) {
+        var editingTarget = this.runtime.getTargetById(targetId);
+        var menuItems = this.runtime.targets
+            .filter(t => t instanceof VideoTarget && t.isOriginal && t !== editingTarget)
+            .map(t => ({
+                text: t.getName(),
+                value: t.id
+            }));
+
+        if (menuItems.length === 0) {
+            return [
+                {
+                    text: 'n/a',
+                    value: '0'
+                }
+            ];
+        }
+        return menuItems;
+    }
+
+    // Sprites and videos share one draw order, so either can be layered relative to the other
+    _buildLayeredTargetsMenu(targetId) {
+        var editingTarget = this.runtime.getTargetById(targetId);
+        var menuItems = this.runtime.targets
+            .filter(t => DrawOrder.isLayered(t) && t.isOriginal && t !== editingTarget)
+            .map(t => ({
+                text: t.getName(),
+                value: t.id
+            }));
+
+        if (menuItems.length === 0) {
+            return [
+                {
+                    text: 'n/a',
+                    value: '0'
+                }
+            ];
+        }
+        return menuItems;
+    }
+
+    // Arguments referring to a marker which has since been deleted resolve to the fallback
+    _resolveMarker (target, markerArg, fallback) {
+        const position = Markers.resolvePosition(target, markerArg);
+        return position === null ? fallback : position;
+    }
+
     // Video
 
     _queueVideo(runtime, thread, videoTarget, start, end, blocking) {
@@ -823,8 +1687,8 @@ class SteinaBlocks {
         var target = util.target;
         var thread = util.thread;
 
-        var start = +(args.MARKER_A);
-        var end = +(args.MARKER_B);
+        var start = this._resolveMarker(target, args.MARKER_A, target.trimStart);
+        var end = this._resolveMarker(target, args.MARKER_B, target.trimEnd);
 
         if (!util.stackFrame.playingId) {
             target.currentFrame = start;
@@ -905,6 +1769,10 @@ class SteinaBlocks {
         }
     }
 
+    setLoopMode(args, util) {
+        util.target.setLoopMode(Cast.toString(args.LOOP_MODE));
+    }
+
     goToFrame(args, util) {
         // Frames are 1-indexed in the blocks, but 0-indexed in the target
         var target = util.target;
@@ -933,6 +1801,31 @@ class SteinaBlocks {
         thread.status = Thread.STATUS_YIELD_TICK;
     }
 
+    goToSeconds(args, util) {
+        var target = util.target;
+        target.setCurrentFrame(target.trimStart + this._secondsToFrames(target, Cast.toNumber(args.SECONDS)));
+    }
+
+    goToPercent(args, util) {
+        // 0% is the first frame of the trim and 100% the last one
+        var target = util.target;
+        var fraction = Cast.toNumber(args.PERCENT) / 100;
+        target.setCurrentFrame(target.trimStart + (fraction * (target.trimEnd - target.trimStart)));
+    }
+
+    playForSeconds(args, util) {
+        // Seconds of video rather than of real time, like playNFrames plays frames of video
+        var target = util.target;
+        var frames = this._secondsToFrames(target, Cast.toNumber(args.SECONDS));
+        this.playNFrames({FRAMES: frames}, util);
+    }
+
+    // Seconds of video are measured at the clip's native fps, whatever the playback rate
+    _secondsToFrames(target, seconds) {
+        if (!(target.fps > 0)) return 0;
+        return seconds * target.fps;
+    }
+
     playForwardUntilDone(args, util) {
         var target = util.target;
         var thread = util.thread;
@@ -988,6 +1881,37 @@ class SteinaBlocks {
         return target.tapped;
     }
 
+    isTouchingVideo(args, util) {
+        return util.target.isTouchingVideoOrClones(Cast.toString(args.VIDEO));
+    }
+
+    isTouchingEdge(args, util) {
+        return util.target.isTouchingEdge();
+    }
+
+    getDistanceToVideo(args, util) {
+        var other = util.runtime.getTargetById(Cast.toString(args.VIDEO));
+        if (!(other instanceof VideoTarget)) return 10000; // Same as Scratch for a missing sprite
+        return util.target.distanceTo(other);
+    }
+
+    goBehind(args, util) {
+        var other = util.runtime.getTargetById(Cast.toString(args.TARGET));
+        if (!other || !DrawOrder.isLayered(other)) return;
+        util.runtime.drawOrder.goBehind(util.target, other);
+    }
+
+    // Layers count from 1 at the back, and 0 for targets which aren't drawn
+    getLayer(args, util) {
+        return util.runtime.drawOrder.getLayer(util.target) + 1;
+    }
+
+    getLayerOf(args, util) {
+        var other = util.runtime.getTargetById(Cast.toString(args.TARGET));
+        if (!other) return 0;
+        return util.runtime.drawOrder.getLayer(other) + 1;
+    }
+
     changeEffectBy(args, util) {
         const effect = Cast.toString(args.EFFECT).toLowerCase();
         const change = Cast.toNumber(args.CHANGE);
@@ -1006,43 +1930,77 @@ class SteinaBlocks {
         util.target.clearEffects();
     }
 
+    // Whether the video played across the given frame during the last tick.
+    // Playback advances by fractional frames, so the playhead rarely lands exactly on a marker
+    _videoCrossed (runtime, target, position) {
+        const segments = runtime.videoState.traversed[target.id];
+        if (!segments) return false;
+        return segments.some(segment => Markers.isCrossed(position, segment.from, segment.to));
+    }
+
     whenPlayedToEnd(args, util) {
         var target = util.target;
-        if (target.currentFrame == target.trimEnd) {
-            return true;
-        }
-        return false;
+        return this._videoCrossed(util.runtime, target, target.trimEnd);
     }
 
     whenPlayedToBeginning(args, util) {
         var target = util.target;
-        if (target.currentFrame == target.trimStart) {
-            return true;
-        }
-        return false;
+        return this._videoCrossed(util.runtime, target, target.trimStart);
     }
 
     whenReached(args, util) {
         var target = util.target;
-        var marker = args.MARKER;
+        const position = Markers.resolvePosition(target, args.MARKER);
 
-        return marker == target.currentFrame;
+        return position !== null && this._videoCrossed(util.runtime, target, position);
     }
 
-    whenTapped(args, util) {
+    // Frames are 1-indexed in the blocks, counting from the start of the trim, so the
+    // last frame of the trim is frame "total frames". Playback moves by fractions of a
+    // frame, so the frame reporters round down to the frame being shown.
+    getCurrentFrame(args, util) {
         var target = util.target;
-        return target.tapped;
+        return Math.floor(target.currentFrame - target.trimStart) + 1;
     }
 
-    getCurrentFrame(args, util) {
-        // @TODO: Should this return an integer or a float? We're going with integer for now
+    getTotalFrames(args, util) {
         var target = util.target;
-        return +(target.currentFrame - target.trimStart) + 1; // 1-indexed
+        // trimEnd is the index of the last frame, not one past it
+        return (target.trimEnd - target.trimStart) + 1;
     }
 
-    getTotalFrames(args, util) {
-        var target = util.target
-        return target.trimEnd - target.trimStart;
+    getCurrentTime(args, util) {
+        var target = util.target;
+        if (!(target.fps > 0)) return 0;
+        return (target.currentFrame - target.trimStart) / target.fps;
+    }
+
+    getDuration(args, util) {
+        var target = util.target;
+        if (!(target.fps > 0)) return 0;
+        return this.getTotalFrames(args, util) / target.fps;
+    }
+
+    getFps(args, util) {
+        return util.target.fps;
+    }
+
+    isPlaying(args, util) {
+        return util.runtime.videoState.playing.hasOwnProperty(util.target.id);
+    }
+
+    getPlayDirection(args, util) {
+        var playingVideo = util.runtime.videoState.playing[util.target.id];
+        if (!playingVideo) return '';
+        return playingVideo.end >= playingVideo.start ? VideoDirections.FORWARD : VideoDirections.REVERSE;
+    }
+
+    setTempo(args, util) {
+        util.runtime.audioState.tempo = MathUtil.clamp(Cast.toNumber(args.TEMPO), 20, 500);
+    }
+
+    getTempo(args, util) {
+        return util.runtime.audioState.tempo;
     }
 
     getPlayRate(args, util) {
@@ -1053,13 +2011,8 @@ class SteinaBlocks {
     startSound(args, util) {
         var target = util.target;
 
-        // Only start a sound if we're below the limit of simultaneous
-        // unblocking sounds
-        if (target.nonblockingSoundsAvailable > 0) {
-            // Just queue the sound and don't yield the thread
-            this._queueSound(util.runtime, target, target.trimStart, target.trimEnd, target.playbackRate, false);
-            target.nonblockingSoundsAvailable--;
-        }
+        // Just queue the sound and don't yield the thread
+        this._queueSound(util, target.trimStart, target.trimEnd, false);
     }
 
     playSound(args, util) {
@@ -1068,7 +2021,7 @@ class SteinaBlocks {
 
         if (!util.stackFrame.playingId) {
             // Add the new sound to the play queue
-            var id = this._queueSound(util.runtime, target, target.trimStart, target.trimEnd, target.playbackRate);
+            var id = this._queueSound(util, target.trimStart, target.trimEnd);
 
             util.stackFrame.playingId = id;
         }
@@ -1083,29 +2036,47 @@ class SteinaBlocks {
         thread.status = Thread.STATUS_YIELD_TICK;
     }
 
+    startSoundAfterDelay(args, util) {
+        var delay = Math.max(0, Cast.toNumber(args.DELAY));
+        this._startSoundAt(util, util.runtime.audioState.currentTime + delay);
+    }
+
+    startSoundOnBeat(args, util) {
+        var audioState = util.runtime.audioState;
+        var beatLength = 60 / audioState.tempo;
+        var beats = Math.max(0, Math.round(Cast.toNumber(args.BEATS)));
+        // Beats fall on whole multiples of the beat length on the audio clock,
+        // so sounds queued on beats from different scripts line up
+        var currentBeat = Math.floor(audioState.currentTime / beatLength);
+        var startTime = (currentBeat + beats) * beatLength;
+        this._startSoundAt(util, Math.max(startTime, audioState.currentTime));
+    }
+
+    _startSoundAt(util, startTime) {
+        var target = util.target;
+        this._queueSound(util, target.trimStart, target.trimEnd, false, startTime);
+    }
+
     startSoundFromAToB(args, util) {
         var target = util.target;
 
-        var start = +(args.MARKER_A);
-        var end = +(args.MARKER_B);
+        var start = this._resolveMarker(target, args.MARKER_A, target.trimStart);
+        var end = this._resolveMarker(target, args.MARKER_B, target.trimEnd);
 
-        if (target.nonblockingSoundsAvailable > 0) {
-            // Just queue the sound and don't yield the thread
-            this._queueSound(util.runtime, target, start, end, target.playbackRate, false);
-            target.nonblockingSoundsAvailable--;
-        }
+        // Just queue the sound and don't yield the thread
+        this._queueSound(util, start, end, false);
     }
 
     playSoundFromAToB(args, util) {
         var target = util.target;
         var thread = util.thread;
 
-        var start = +(args.MARKER_A);
-        var end = +(args.MARKER_B);
+        var start = this._resolveMarker(target, args.MARKER_A, target.trimStart);
+        var end = this._resolveMarker(target, args.MARKER_B, target.trimEnd);
 
         if (!util.stackFrame.playingId) {
             // Add the new sound to the play queue
-            var id = this._queueSound(util.runtime, target, start, end, target.playbackRate);
+            var id = this._queueSound(util, start, end);
 
             util.stackFrame.playingId = id;
         }
@@ -1120,6 +2091,22 @@ class SteinaBlocks {
         thread.status = Thread.STATUS_YIELD_TICK;
     }
 
+    stopSoundsOfClip(args, util) {
+        util.runtime.mixer.stopSounds(util.target.id);
+    }
+
+    stopSoundsOfScript(args, util) {
+        util.runtime.mixer.stopSounds(util.target.id, util.thread.topBlock);
+    }
+
+    pauseSounds(args, util) {
+        util.runtime.mixer.pauseSounds(util.target.id);
+    }
+
+    resumeSounds(args, util) {
+        util.runtime.mixer.resumeSounds(util.target.id);
+    }
+
     setVolumeTo(args, util) {
         util.target.setVolume(args.VALUE)
     }
@@ -1133,26 +2120,129 @@ class SteinaBlocks {
         return util.target.volume;
     }
 
-    _queueSound(runtime, audioTarget, start, end, playbackRate, blocking = true) {
+    setMute(args, util) {
+        util.runtime.mixer.setMuted(util.target.id, Cast.toString(args.STATE) === MixerStates.ON);
+    }
+
+    setSolo(args, util) {
+        util.runtime.mixer.setSoloed(util.target.id, Cast.toString(args.STATE) === MixerStates.ON);
+    }
+
+    setDucking(args, util) {
+        util.runtime.mixer.setDucking(util.target.id, Cast.toNumber(args.DUCKING));
+    }
+
+    setMasterVolumeTo(args, util) {
+        util.runtime.mixer.setMasterVolume(Cast.toNumber(args.VALUE));
+    }
+
+    getMasterVolume(args, util) {
+        return util.runtime.mixer.masterVolume;
+    }
+
+    setMaxVoices(args, util) {
+        util.target.maxVoices = Mixer.normalizeMaxVoices(Cast.toNumber(args.VOICES));
+    }
+
+    setVoiceStealing(args, util) {
+        var policy = Cast.toString(args.POLICY).toLowerCase();
+        if (Mixer.isVoiceStealingPolicy(policy)) {
+            util.target.voiceStealing = policy;
+        }
+    }
+
+    getPlayingVoices(args, util) {
+        return util.runtime.mixer.getVoices(util.target.id).length;
+    }
+
+    changeAudioEffectBy(args, util) {
+        const effect = Cast.toString(args.EFFECT).toLowerCase();
+        const change = Cast.toNumber(args.CHANGE);
+        if (!util.target.effects.hasOwnProperty(effect)) return;
+        util.target.setEffect(effect, util.target.effects[effect] + change);
+    }
+
+    setAudioEffectTo(args, util) {
+        const effect = Cast.toString(args.EFFECT).toLowerCase();
+        util.target.setEffect(effect, Cast.toNumber(args.VALUE));
+    }
+
+    clearAudioEffects(args, util) {
+        util.target.clearEffects();
+    }
+
+    // Whether any sound of the audio target played across the given sample during the last tick
+    _soundCrossed (runtime, target, position) {
+        const segments = runtime.audioState.traversed[target.id];
+        if (!segments) return false;
+        return segments.some(segment => Markers.isCrossed(position, segment.from, segment.to));
+    }
+
+    whenSoundReached(args, util) {
+        var target = util.target;
+        var position = Markers.resolvePosition(target, args.MARKER);
+        // Sounds stop at the last sample, which may come before an untrimmed end
+        if (args.MARKER === Markers.END) {
+            position = Math.min(target.trimEnd, target.totalSamples - 1);
+        }
+
+        return position !== null && this._soundCrossed(util.runtime, target, position);
+    }
+
+    // Sounds start at the current step's audio time unless given a later start time.
+    // Returns the id of the queued sound, or null if the mixer is out of voices for it.
+    // Blocking sounds always play, since their script waits for them
+    _queueSound(util, start, end, blocking = true, startTime = util.runtime.audioState.currentTime) {
+        var runtime = util.runtime;
+        var audioTarget = util.target;
+        if (!blocking && !runtime.mixer.allocateVoice(audioTarget)) return null;
+
         var id = uid();
         var firstSample = Math.max(start, 0);
         var lastSample = Math.min(end, audioTarget.totalSamples - 1);
         var playingSound = {
             audioTargetId : audioTarget.id,
+            topBlockId: util.thread ? util.thread.topBlock : null, // Script which started the sound
             sampleRate: audioTarget.sampleRate,
             start: firstSample,
             end: lastSample,
-            playbackRate: playbackRate,
+            playbackRate: audioTarget.playbackRate,
             prevPlayhead: firstSample,
             playhead: firstSample,
-            blocking: blocking
+            blocking: blocking,
+            effects: Object.assign({}, audioTarget.effects),
+            startTime: startTime, // On the runtime's audio clock, in seconds
+            playheadTime: startTime // Audio time the playhead was last advanced to
         };
         runtime.audioState.playing[id] = playingSound;
 
         return id;
     }
 
+    // Touch
+
+    getTouchCount(args, util) {
+        return util.runtime.ioDevices.touch.getTouches().length;
+    }
+
+    getTouchX(args, util) {
+        var touch = this._getTouch(util.runtime, args.INDEX);
+        return touch ? touch.x : 0;
+    }
+
+    getTouchY(args, util) {
+        var touch = this._getTouch(util.runtime, args.INDEX);
+        return touch ? touch.y : 0;
+    }
+
+    // Touches are numbered from 1, in the order the fingers went down
+    _getTouch(runtime, index) {
+        var touches = runtime.ioDevices.touch.getTouches();
+        return touches[Math.floor(Cast.toNumber(index)) - 1] || null;
+    }
+
     // Motion
+
     getTiltAngle(args, util) {
         return this._getTiltAngle(args.DIRECTION);
     }
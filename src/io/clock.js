@@ -2,7 +2,7 @@ const Timer = require('../util/timer');
 
 class Clock {
     constructor (runtime) {
-        this._projectTimer = new Timer();
+        this._projectTimer = new Timer(runtime.timeSource);
         this._projectTimer.start();
         this._pausedTime = null;
         this._paused = false;
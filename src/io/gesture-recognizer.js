@@ -0,0 +1,178 @@
+/**
+ * @typedef {object} Gesture
+ * @property {string} type - `swipe` or `pinch`.
+ * @property {string} direction - one of `GestureRecognizer.SWIPE_DIRECTIONS` for
+ * swipes or `GestureRecognizer.PINCH_DIRECTIONS` for pinches.
+ */
+
+/**
+ * Recognizes swipes and pinches from raw touch positions. Positions are in
+ * scratch coordinates, so a swipe "up" moves toward positive y.
+ */
+class GestureRecognizer {
+    constructor () {
+        /**
+         * Touches currently down, by touch id.
+         * @type {Map.<string, object>}
+         */
+        this._touches = new Map();
+
+        /**
+         * The pinch in progress, if two touches are down.
+         * @type {?{ids: Array.<string>, startDistance: number, recognized: boolean}}
+         */
+        this._pinch = null;
+    }
+
+    /**
+     * Directions a swipe can be recognized in.
+     * @type {object}
+     */
+    static get SWIPE_DIRECTIONS () {
+        return {
+            LEFT: 'left',
+            RIGHT: 'right',
+            UP: 'up',
+            DOWN: 'down'
+        };
+    }
+
+    /**
+     * Directions a pinch can be recognized in: fingers closing in or spreading out.
+     * @type {object}
+     */
+    static get PINCH_DIRECTIONS () {
+        return {
+            IN: 'in',
+            OUT: 'out'
+        };
+    }
+
+    /**
+     * Shortest distance a touch must travel to count as a swipe, in stage units.
+     * @type {number}
+     */
+    static get SWIPE_MIN_DISTANCE () {
+        return 50;
+    }
+
+    /**
+     * Longest a touch can be down and still count as a swipe, in ms.
+     * @type {number}
+     */
+    static get SWIPE_MAX_DURATION () {
+        return 500;
+    }
+
+    /**
+     * How much the distance between two touches must grow or shrink, relative
+     * to where it started, to count as a pinch.
+     * @type {number}
+     */
+    static get PINCH_THRESHOLD () {
+        return 0.25;
+    }
+
+    /**
+     * A touch went down.
+     * @param {string} id Id of the touch.
+     * @param {number} x X position of the touch.
+     * @param {number} y Y position of the touch.
+     * @param {number} time Time of the event, in ms.
+     * @return {Array.<Gesture>} Gestures recognized by this event.
+     */
+    touchStart (id, x, y, time) {
+        const touch = {startX: x, startY: y, startTime: time, x, y, multiTouch: false};
+        this._touches.set(id, touch);
+        if (this._touches.size > 1) {
+            // Swipes are single finger gestures
+            this._touches.forEach(other => {
+                other.multiTouch = true;
+            });
+        }
+        if (this._touches.size === 2) {
+            const ids = Array.from(this._touches.keys());
+            this._pinch = {ids, startDistance: this._pinchDistance(ids), recognized: false};
+        }
+        return [];
+    }
+
+    /**
+     * A touch moved.
+     * @param {string} id Id of the touch.
+     * @param {number} x New x position of the touch.
+     * @param {number} y New y position of the touch.
+     * @return {Array.<Gesture>} Gestures recognized by this event.
+     */
+    touchMove (id, x, y) {
+        const touch = this._touches.get(id);
+        if (!touch) return [];
+        touch.x = x;
+        touch.y = y;
+
+        const pinch = this._pinch;
+        if (!pinch || pinch.recognized || pinch.ids.indexOf(id) === -1 || pinch.startDistance === 0) {
+            return [];
+        }
+        const ratio = this._pinchDistance(pinch.ids) / pinch.startDistance;
+        let direction = null;
+        if (ratio >= 1 + GestureRecognizer.PINCH_THRESHOLD) {
+            direction = GestureRecognizer.PINCH_DIRECTIONS.OUT;
+        } else if (ratio <= 1 / (1 + GestureRecognizer.PINCH_THRESHOLD)) {
+            direction = GestureRecognizer.PINCH_DIRECTIONS.IN;
+        }
+        if (!direction) return [];
+        // Only recognize each pinch once, until one of its fingers lifts
+        pinch.recognized = true;
+        return [{type: 'pinch', direction}];
+    }
+
+    /**
+     * A touch went up.
+     * @param {string} id Id of the touch.
+     * @param {number} x X position of the touch when it ended.
+     * @param {number} y Y position of the touch when it ended.
+     * @param {number} time Time of the event, in ms.
+     * @return {Array.<Gesture>} Gestures recognized by this event.
+     */
+    touchEnd (id, x, y, time) {
+        const gestures = this.touchMove(id, x, y);
+        const touch = this._touches.get(id);
+        if (!touch) return gestures;
+        this._touches.delete(id);
+        if (this._pinch && this._pinch.ids.indexOf(id) !== -1) {
+            this._pinch = null;
+        }
+
+        const dx = x - touch.startX;
+        const dy = y - touch.startY;
+        const distance = Math.sqrt((dx * dx) + (dy * dy));
+        if (touch.multiTouch ||
+            distance < GestureRecognizer.SWIPE_MIN_DISTANCE ||
+            time - touch.startTime > GestureRecognizer.SWIPE_MAX_DURATION) {
+            return gestures;
+        }
+        let direction;
+        if (Math.abs(dx) > Math.abs(dy)) {
+            direction = dx > 0 ? GestureRecognizer.SWIPE_DIRECTIONS.RIGHT : GestureRecognizer.SWIPE_DIRECTIONS.LEFT;
+        } else {
+            direction = dy > 0 ? GestureRecognizer.SWIPE_DIRECTIONS.UP : GestureRecognizer.SWIPE_DIRECTIONS.DOWN;
+        }
+        return gestures.concat({type: 'swipe', direction});
+    }
+
+    /**
+     * @param {Array.<string>} ids Ids of the two touches of a pinch.
+     * @return {number} The distance between the two touches.
+     * @private
+     */
+    _pinchDistance (ids) {
+        const a = this._touches.get(ids[0]);
+        const b = this._touches.get(ids[1]);
+        const dx = a.x - b.x;
+        const dy = a.y - b.y;
+        return Math.sqrt((dx * dx) + (dy * dy));
+    }
+}
+
+module.exports = GestureRecognizer;
@@ -0,0 +1,248 @@
+const GestureRecognizer = require('./gesture-recognizer');
+const MathUtil = require('../util/math-util');
+const VideoTarget = require('../steina/video-target');
+
+/**
+ * The hat started by each type of gesture, and the name of the hat's menu field
+ * holding the direction to match. Extension menus name their field after the menu.
+ * @type {Object.<string, {opcode: string, field: string}>}
+ */
+const GESTURE_HATS = {
+    swipe: {opcode: 'steina_whenSwiped', field: 'swipeDirections'},
+    pinch: {opcode: 'steina_whenPinched', field: 'pinchDirections'}
+};
+
+/**
+ * @typedef {object} TouchPoint
+ * @property {string} id - id of the touch, stable while the finger is down.
+ * @property {number} x - x position of the touch, in scratch coordinates.
+ * @property {number} y - y position of the touch, in scratch coordinates.
+ * @property {?VideoTarget} target - the video target grabbed by the touch, if any.
+ */
+
+class Touch {
+    constructor (runtime) {
+        /**
+         * Touches currently down, by touch id, in the order they started.
+         * @type {Map.<string, TouchPoint>}
+         */
+        this._touches = new Map();
+
+        /**
+         * Ids of the touches holding each video target, by target id. The first
+         * touch drags the target; the second one pinches it.
+         * @type {Object.<string, Array.<string>>}
+         */
+        this._grabs = {};
+
+        /**
+         * Recognizes swipes and pinches from the touches posted to this device.
+         * @type {!GestureRecognizer}
+         */
+        this._gestureRecognizer = new GestureRecognizer();
+
+        /**
+         * Reference to the owning Runtime.
+         * Can be used, for example, to activate hats.
+         * @type{!Runtime}
+         */
+        this.runtime = runtime;
+    }
+
+    /**
+     * Convert a position in client coordinates to scratch coordinates.
+     * @param {object} data Touch data with x, y, canvasWidth and canvasHeight.
+     * @return {{x: number, y: number}} The clamped position on the stage.
+     * @private
+     */
+    _toScratch (data) {
+        const stageWidth = this.runtime.constructor.STAGE_WIDTH;
+        const stageHeight = this.runtime.constructor.STAGE_HEIGHT;
+        return {
+            x: MathUtil.clamp(
+                stageWidth * ((data.x / data.canvasWidth) - 0.5),
+                -stageWidth / 2,
+                stageWidth / 2
+            ),
+            y: MathUtil.clamp(
+                -stageHeight * ((data.y / data.canvasHeight) - 0.5),
+                -stageHeight / 2,
+                stageHeight / 2
+            )
+        };
+    }
+
+    /**
+     * Find the frontmost video target under a point.
+     * @param {number} x X position in scratch coordinates.
+     * @param {number} y Y position in scratch coordinates.
+     * @return {?VideoTarget} The video target, or null if there is none.
+     * @private
+     */
+    _pickVideoTarget (x, y) {
+        const order = this.runtime.drawOrder.ids;
+        // Later entries are drawn on top
+        for (let i = order.length - 1; i >= 0; i--) {
+            const target = this.runtime.getTargetById(order[i]);
+            if (target instanceof VideoTarget && target.containsPoint(x, y)) {
+                return target;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Start tracking a new touch, grabbing the video target under it.
+     * Tapping a video target that isn't already held activates its "when tapped" hats.
+     * @param {string} id Id of the touch.
+     * @param {{x: number, y: number}} position Position of the touch.
+     * @private
+     */
+    _touchStart (id, position) {
+        const target = this._pickVideoTarget(position.x, position.y);
+        this._touches.set(id, {id, x: position.x, y: position.y, target});
+        if (!target) return;
+
+        if (!this._grabs[target.id]) {
+            this._grabs[target.id] = [];
+            target.tapped = true;
+            target.startDrag();
+            this.runtime.startHats('steina_whenTapped', null, target);
+        }
+        this._grabs[target.id].push(id);
+    }
+
+    /**
+     * Move a touch, dragging or pinching the video target it holds.
+     * @param {TouchPoint} touch The touch that moved.
+     * @param {{x: number, y: number}} position New position of the touch.
+     * @private
+     */
+    _touchMove (touch, position) {
+        const target = touch.target;
+        if (target && this.runtime.targets.indexOf(target) !== -1) {
+            const grabs = this._grabs[target.id];
+            if (grabs.length === 1) {
+                target.setXY(target.x + (position.x - touch.x), target.y + (position.y - touch.y), true);
+            } else if (grabs.indexOf(touch.id) < 2) {
+                const pivot = this._touches.get(grabs[0] === touch.id ? grabs[1] : grabs[0]);
+                this._pinch(target, pivot, touch, position);
+            }
+        }
+        touch.x = position.x;
+        touch.y = position.y;
+    }
+
+    /**
+     * Scale and rotate a video target around a touch that stays put, following
+     * another touch that moved.
+     * @param {!VideoTarget} target The video target being pinched.
+     * @param {TouchPoint} pivot The touch that stays put.
+     * @param {TouchPoint} touch The touch that moved, at its previous position.
+     * @param {{x: number, y: number}} position New position of the moving touch.
+     * @private
+     */
+    _pinch (target, pivot, touch, position) {
+        const fromX = touch.x - pivot.x;
+        const fromY = touch.y - pivot.y;
+        const toX = position.x - pivot.x;
+        const toY = position.y - pivot.y;
+        const fromLength = Math.sqrt((fromX * fromX) + (fromY * fromY));
+        const toLength = Math.sqrt((toX * toX) + (toY * toY));
+        if (fromLength === 0 || toLength === 0) return;
+
+        // Angle turned counter-clockwise; scratch directions grow clockwise
+        const angle = Math.atan2(toY, toX) - Math.atan2(fromY, fromX);
+        const oldSize = target.size;
+        target.setSize(oldSize * (toLength / fromLength));
+        // Size is clamped, so move the target by the scale actually applied
+        const scale = target.size / oldSize;
+        target.setDirection(target.direction - MathUtil.radToDeg(angle));
+
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const offsetX = target.x - pivot.x;
+        const offsetY = target.y - pivot.y;
+        target.setXY(
+            pivot.x + (((offsetX * cos) - (offsetY * sin)) * scale),
+            pivot.y + (((offsetX * sin) + (offsetY * cos)) * scale),
+            true
+        );
+    }
+
+    /**
+     * Stop tracking a touch, releasing its video target once no touch holds it.
+     * @param {TouchPoint} touch The touch that ended.
+     * @private
+     */
+    _touchEnd (touch) {
+        this._touches.delete(touch.id);
+        const target = touch.target;
+        if (!target) return;
+
+        const grabs = this._grabs[target.id];
+        grabs.splice(grabs.indexOf(touch.id), 1);
+        if (grabs.length === 0) {
+            delete this._grabs[target.id];
+            target.stopDrag();
+        }
+    }
+
+    /**
+     * Activate the "when swiped" and "when pinched" hats of recognized gestures.
+     * @param {Array.<Gesture>} gestures The gestures recognized from a touch event.
+     * @private
+     */
+    _activateGestureHats (gestures) {
+        gestures.forEach(gesture => {
+            const hat = GESTURE_HATS[gesture.type];
+            this.runtime.startHats(hat.opcode, {[hat.field]: gesture.direction});
+        });
+    }
+
+    /**
+     * Touch DOM event handler. Takes either a single touch or, for events that
+     * change several touches at once, a `touches` array of them. Each touch has
+     * an `id`, client `x` and `y`, and `isDown`, which is false once it ends.
+     * @param {object} data Data from DOM event.
+     */
+    postData (data) {
+        const touches = data.touches || [data];
+        const time = this.runtime.timeSource.now();
+        touches.forEach(touchData => {
+            const id = String(touchData.id);
+            const position = this._toScratch({
+                x: touchData.x,
+                y: touchData.y,
+                canvasWidth: touchData.canvasWidth || data.canvasWidth,
+                canvasHeight: touchData.canvasHeight || data.canvasHeight
+            });
+            const touch = this._touches.get(id);
+            let gestures = [];
+            if (touchData.isDown) {
+                if (touch) {
+                    this._touchMove(touch, position);
+                    gestures = this._gestureRecognizer.touchMove(id, position.x, position.y);
+                } else {
+                    this._touchStart(id, position);
+                    gestures = this._gestureRecognizer.touchStart(id, position.x, position.y, time);
+                }
+            } else if (touch) {
+                this._touchMove(touch, position);
+                this._touchEnd(touch);
+                gestures = this._gestureRecognizer.touchEnd(id, position.x, position.y, time);
+            }
+            this._activateGestureHats(gestures);
+        });
+    }
+
+    /**
+     * Get the touches currently down, in the order they started.
+     * @return {Array.<{id: string, x: number, y: number}>} The touches, in scratch coordinates.
+     */
+    getTouches () {
+        return Array.from(this._touches.values()).map(touch => ({id: touch.id, x: touch.x, y: touch.y}));
+    }
+}
+
+module.exports = Touch;
@@ -8,6 +8,8 @@ const vmPackage = require('../../package.json');
 const Blocks = require('../engine/blocks');
 const Sprite = require('../sprites/sprite');
 const Variable = require('../engine/variable');
+const VideoTarget = require('../steina/video-target');
+const AudioTarget = require('../steina/audio-target');
 const log = require('../util/log');
 const uid = require('../util/uid');
 
@@ -19,6 +21,7 @@ const {deserializeCostume, deserializeSound} = require('./deserialize-assets.js'
  * @typedef {object} ImportedProject
  * @property {Array.<Target>} targets - the imported Scratch 3.0 target objects.
  * @property {ImportedExtensionsInfo} extensionsInfo - the ID of each extension actually used by this project.
+ * @property {?object} mixer - project-wide Steina mixer settings, if any, to apply once the targets are installed.
  */
 
 /**
@@ -387,9 +390,10 @@ const serializeVariables = function (variables) {
  * Serialize the given target. Only serialize properties that are necessary
  * for saving and loading this target.
  * @param {object} target The target to be serialized.
+ * @param {!Runtime} runtime VM runtime instance owning the target.
  * @return {object} A serialized representation of the given target.
  */
-const serializeTarget = function (target) {
+const serializeTarget = function (target, runtime) {
     const obj = Object.create(null);
     obj.isStage = target.isStage;
     obj.name = obj.isStage ? 'Stage' : target.name;
@@ -414,10 +418,95 @@ const serializeTarget = function (target) {
         obj.direction = target.direction;
         obj.draggable = target.draggable;
         obj.rotationStyle = target.rotationStyle;
+        obj.layerOrder = runtime.drawOrder.ids.indexOf(target.id);
     }
     return obj;
 };
 
+/**
+ * Serialize the given Steina video target.
+ * @param {object} target The flattened video target to be serialized.
+ * @param {number} layerOrder The index of this target in the draw order of sprites and video targets.
+ * @return {object} A serialized representation of the given video target.
+ */
+const serializeVideoTarget = function (target, layerOrder) {
+    const obj = Object.create(null);
+    obj.targetType = 'video';
+    obj.id = target.id;
+    obj.name = target.name;
+    const vars = serializeVariables(target.variables);
+    obj.variables = vars.variables;
+    obj.lists = vars.lists;
+    obj.broadcasts = vars.broadcasts;
+    obj.blocks = serializeBlocks(target.blocks._blocks);
+    obj.visible = target.visible;
+    obj.x = target.x;
+    obj.y = target.y;
+    obj.size = target.size;
+    obj.direction = target.direction;
+    obj.effects = target.effects;
+    obj.layerOrder = layerOrder;
+    obj.fps = target.fps;
+    obj.frames = target.frames;
+    obj.width = target.width;
+    obj.height = target.height;
+    obj.currentFrame = target.currentFrame;
+    obj.playbackRate = target.playbackRate;
+    obj.markers = target.markers;
+    obj.trimStart = target.trimStart;
+    obj.trimEnd = target.trimEnd;
+    obj.loopMode = target.loopMode;
+    obj.audioTrack = target.audioTrack;
+    return obj;
+};
+
+/**
+ * Serialize the given Steina audio target.
+ * @param {object} target The flattened audio target to be serialized.
+ * @return {object} A serialized representation of the given audio target.
+ */
+const serializeAudioTarget = function (target) {
+    const obj = Object.create(null);
+    obj.targetType = 'audio';
+    obj.id = target.id;
+    const vars = serializeVariables(target.variables);
+    obj.variables = vars.variables;
+    obj.lists = vars.lists;
+    obj.broadcasts = vars.broadcasts;
+    obj.blocks = serializeBlocks(target.blocks._blocks);
+    obj.volume = target.volume;
+    obj.effects = target.effects;
+    obj.totalSamples = target.totalSamples;
+    obj.sampleRate = target.sampleRate;
+    obj.playbackRate = target.playbackRate;
+    obj.maxVoices = target.maxVoices;
+    obj.voiceStealing = target.voiceStealing;
+    obj.markers = target.markers;
+    obj.trimStart = target.trimStart;
+    obj.trimEnd = target.trimEnd;
+    return obj;
+};
+
+/**
+ * Serialize the Steina video and audio targets of the given runtime. These are
+ * kept out of the regular `targets` list since they have no costumes or sounds.
+ * @param {!Runtime} runtime VM runtime instance to be serialized.
+ * @return {Array.<object>} Serialized video and audio targets.
+ */
+const serializeSteinaTargets = function (runtime) {
+    const order = runtime.drawOrder.ids;
+    return runtime.targets
+        .filter(target => (target instanceof VideoTarget && target.isOriginal) || target instanceof AudioTarget)
+        .map(target => {
+            // Flatten before serializing, the same way as the other targets
+            const flattenedTarget = JSON.parse(JSON.stringify(target));
+            if (target instanceof VideoTarget) {
+                return serializeVideoTarget(flattenedTarget, order.indexOf(target.id));
+            }
+            return serializeAudioTarget(flattenedTarget);
+        });
+};
+
 /**
  * Serializes the specified VM runtime.
  * @param  {!Runtime} runtime VM runtime instance to be serialized.
@@ -427,8 +516,13 @@ const serialize = function (runtime) {
     // Fetch targets
     const obj = Object.create(null);
     const flattenedOriginalTargets = JSON.parse(JSON.stringify(
-        runtime.targets.filter(target => target.isOriginal)));
+        runtime.targets.filter(target => target.isOriginal && !(target instanceof VideoTarget))));
     obj.targets = flattenedOriginalTargets.map(t => serializeTarget(t, runtime));
+    obj.steinaTargets = serializeSteinaTargets(runtime);
+    obj.steinaMixer = {
+        maxVoices: runtime.mixer.maxVoices,
+        voiceStealing: runtime.mixer.voiceStealing
+    };
 
     // TODO Serialize monitors
 
@@ -666,6 +760,98 @@ const deserializeFields = function (fields) {
     return obj;
 };
 
+/**
+ * Deserialize the blocks of a single target into the given blocks container,
+ * recording any extensions used along the way.
+ * @param {object} serializedBlocks The serialized blocks of the target. Note that
+ * this object gets modified in place.
+ * @param {!Blocks} blocks Blocks container to load the deserialized blocks into.
+ * @param {ImportedExtensionsInfo} extensions - (in/out) parsed extension information will be stored here.
+ */
+const deserializeBlocks = function (serializedBlocks, blocks, extensions) {
+    for (const blockId in serializedBlocks) {
+        if (!serializedBlocks.hasOwnProperty(blockId)) continue;
+        const blockJSON = serializedBlocks[blockId];
+        if (Array.isArray(blockJSON)) {
+            // this is one of the primitives
+            // delete the old entry in serializedBlocks and replace it w/the
+            // deserialized object
+            delete serializedBlocks[blockId];
+            deserializeInputDesc(blockJSON, null, false, serializedBlocks);
+            continue;
+        }
+        blockJSON.id = blockId; // add id back to block since it wasn't serialized
+        const serializedInputs = blockJSON.inputs;
+        const deserializedInputs = deserializeInputs(serializedInputs, blockId, serializedBlocks);
+        blockJSON.inputs = deserializedInputs;
+        const serializedFields = blockJSON.fields;
+        const deserializedFields = deserializeFields(serializedFields);
+        blockJSON.fields = deserializedFields;
+    }
+    // Take a second pass to create objects and add extensions
+    for (const blockId in serializedBlocks) {
+        if (!serializedBlocks.hasOwnProperty(blockId)) continue;
+        const blockJSON = serializedBlocks[blockId];
+        blocks.createBlock(blockJSON);
+
+        // If the block is from an extension, record it.
+        const index = blockJSON.opcode.indexOf('_');
+        const prefix = blockJSON.opcode.substring(0, index);
+        if (CORE_EXTENSIONS.indexOf(prefix) === -1) {
+            if (prefix !== '') extensions.extensionIDs.add(prefix);
+        }
+    }
+};
+
+/**
+ * Deserialize the variables, lists and broadcast messages of a single "Scratch
+ * object" onto the given target.
+ * @param {!object} object From-JSON "Scratch object" holding the serialized variables.
+ * @param {!Target} target Target to load the variables into.
+ */
+const deserializeVariables = function (object, target) {
+    if (object.hasOwnProperty('variables')) {
+        for (const varId in object.variables) {
+            const variable = object.variables[varId];
+            const newVariable = new Variable(
+                varId, // var id is the index of the variable desc array in the variables obj
+                variable[0], // name of the variable
+                Variable.SCALAR_TYPE, // type of the variable
+                (variable.length === 3) ? variable[2] : false // isPersistent/isCloud
+            );
+            newVariable.value = variable[1];
+            target.variables[newVariable.id] = newVariable;
+        }
+    }
+    if (object.hasOwnProperty('lists')) {
+        for (const listId in object.lists) {
+            const list = object.lists[listId];
+            const newList = new Variable(
+                listId,
+                list[0],
+                Variable.LIST_TYPE,
+                false
+            );
+            newList.value = list[1];
+            target.variables[newList.id] = newList;
+        }
+    }
+    if (object.hasOwnProperty('broadcasts')) {
+        for (const broadcastId in object.broadcasts) {
+            const broadcast = object.broadcasts[broadcastId];
+            const newBroadcast = new Variable(
+                broadcastId,
+                broadcast,
+                Variable.BROADCAST_MESSAGE_TYPE,
+                false
+            );
+            // no need to explicitly set the value, variable constructor
+            // sets the value to the same as the name for broadcast msgs
+            target.variables[newBroadcast.id] = newBroadcast;
+        }
+    }
+};
+
 /**
  * Parse a single "Scratch object" and create all its in-memory VM objects.
  * @param {!object} object From-JSON "Scratch object:" sprite, stage, watcher.
@@ -691,38 +877,7 @@ const parseScratchObject = function (object, runtime, extensions, zip) {
         sprite.name = object.name;
     }
     if (object.hasOwnProperty('blocks')) {
-        for (const blockId in object.blocks) {
-            if (!object.blocks.hasOwnProperty(blockId)) continue;
-            const blockJSON = object.blocks[blockId];
-            if (Array.isArray(blockJSON)) {
-                // this is one of the primitives
-                // delete the old entry in object.blocks and replace it w/the
-                // deserialized object
-                delete object.blocks[blockId];
-                deserializeInputDesc(blockJSON, null, false, object.blocks);
-                continue;
-            }
-            blockJSON.id = blockId; // add id back to block since it wasn't serialized
-            const serializedInputs = blockJSON.inputs;
-            const deserializedInputs = deserializeInputs(serializedInputs, blockId, object.blocks);
-            blockJSON.inputs = deserializedInputs;
-            const serializedFields = blockJSON.fields;
-            const deserializedFields = deserializeFields(serializedFields);
-            blockJSON.fields = deserializedFields;
-        }
-        // Take a second pass to create objects and add extensions
-        for (const blockId in object.blocks) {
-            if (!object.blocks.hasOwnProperty(blockId)) continue;
-            const blockJSON = object.blocks[blockId];
-            blocks.createBlock(blockJSON);
-
-            // If the block is from an extension, record it.
-            const index = blockJSON.opcode.indexOf('_');
-            const prefix = blockJSON.opcode.substring(0, index);
-            if (CORE_EXTENSIONS.indexOf(prefix) === -1) {
-                if (prefix !== '') extensions.extensionIDs.add(prefix);
-            }
-        }
+        deserializeBlocks(object.blocks, blocks, extensions);
     }
     // Costumes from JSON.
     const costumePromises = (object.costumes || []).map(costumeSource => {
@@ -793,46 +948,7 @@ const parseScratchObject = function (object, runtime, extensions, zip) {
     if (object.hasOwnProperty('videoState')) {
         target.videoState = object.videoState;
     }
-    if (object.hasOwnProperty('variables')) {
-        for (const varId in object.variables) {
-            const variable = object.variables[varId];
-            const newVariable = new Variable(
-                varId, // var id is the index of the variable desc array in the variables obj
-                variable[0], // name of the variable
-                Variable.SCALAR_TYPE, // type of the variable
-                (variable.length === 3) ? variable[2] : false // isPersistent/isCloud
-            );
-            newVariable.value = variable[1];
-            target.variables[newVariable.id] = newVariable;
-        }
-    }
-    if (object.hasOwnProperty('lists')) {
-        for (const listId in object.lists) {
-            const list = object.lists[listId];
-            const newList = new Variable(
-                listId,
-                list[0],
-                Variable.LIST_TYPE,
-                false
-            );
-            newList.value = list[1];
-            target.variables[newList.id] = newList;
-        }
-    }
-    if (object.hasOwnProperty('broadcasts')) {
-        for (const broadcastId in object.broadcasts) {
-            const broadcast = object.broadcasts[broadcastId];
-            const newBroadcast = new Variable(
-                broadcastId,
-                broadcast,
-                Variable.BROADCAST_MESSAGE_TYPE,
-                false
-            );
-            // no need to explicitly set the value, variable constructor
-            // sets the value to the same as the name for broadcast msgs
-            target.variables[newBroadcast.id] = newBroadcast;
-        }
-    }
+    deserializeVariables(object, target);
     if (object.hasOwnProperty('x')) {
         target.x = object.x;
     }
@@ -857,6 +973,10 @@ const parseScratchObject = function (object, runtime, extensions, zip) {
     if (object.hasOwnProperty('isStage')) {
         target.isStage = object.isStage;
     }
+    if (object.hasOwnProperty('layerOrder')) {
+        // Applied once the target is installed, along with the video targets
+        target.layerOrder = object.layerOrder;
+    }
     Promise.all(costumePromises).then(costumes => {
         sprite.costumes = costumes;
     });
@@ -866,6 +986,77 @@ const parseScratchObject = function (object, runtime, extensions, zip) {
     return Promise.all(costumePromises.concat(soundPromises)).then(() => target);
 };
 
+/**
+ * Parse a single serialized Steina video or audio target and create its
+ * in-memory VM objects.
+ * @param {!object} object From-JSON Steina target, discriminated by `targetType`.
+ * @param {!Runtime} runtime Runtime object to load all structures into.
+ * @param {ImportedExtensionsInfo} extensions - (in/out) parsed extension information will be stored here.
+ * @return {?Target} The video or audio target created, or null for unsupported objects.
+ */
+const parseSteinaObject = function (object, runtime, extensions) {
+    let target;
+    if (object.targetType === 'video') {
+        target = new VideoTarget(runtime, object.id, {
+            name: object.name,
+            width: object.width,
+            height: object.height,
+            fps: object.fps,
+            frames: object.frames,
+            markers: object.markers,
+            trimStart: object.trimStart,
+            trimEnd: object.trimEnd
+        });
+        // Keep explicit zeroes which the constructor would otherwise replace
+        if (object.hasOwnProperty('trimEnd')) target.trimEnd = object.trimEnd;
+        if (object.hasOwnProperty('x')) target.x = object.x;
+        if (object.hasOwnProperty('y')) target.y = object.y;
+        if (object.hasOwnProperty('size')) target.size = object.size;
+        if (object.hasOwnProperty('direction')) target.direction = object.direction;
+        if (object.hasOwnProperty('visible')) target.visible = object.visible;
+        if (object.hasOwnProperty('effects')) Object.assign(target.effects, object.effects);
+        if (object.hasOwnProperty('currentFrame')) target.currentFrame = object.currentFrame;
+        if (object.hasOwnProperty('loopMode')) target.setLoopMode(object.loopMode);
+        if (object.hasOwnProperty('audioTrack')) target.setAudioTrack(object.audioTrack);
+        if (object.hasOwnProperty('layerOrder')) target.layerOrder = object.layerOrder;
+    } else if (object.targetType === 'audio') {
+        target = new AudioTarget(runtime, object.id, {
+            totalSamples: object.totalSamples,
+            sampleRate: object.sampleRate,
+            markers: object.markers,
+            trimStart: object.trimStart,
+            trimEnd: object.trimEnd,
+            playbackRate: object.playbackRate
+        });
+        if (object.hasOwnProperty('trimEnd')) target.trimEnd = object.trimEnd;
+        if (object.hasOwnProperty('volume')) target.volume = object.volume;
+        if (object.hasOwnProperty('effects')) Object.assign(target.effects, object.effects);
+        if (object.hasOwnProperty('maxVoices')) target.maxVoices = object.maxVoices;
+        if (object.hasOwnProperty('voiceStealing')) target.voiceStealing = object.voiceStealing;
+    } else {
+        log.warn(`Skipping Steina target with unknown type: ${object.targetType}`);
+        return null;
+    }
+    if (object.hasOwnProperty('playbackRate')) target.playbackRate = object.playbackRate;
+    if (object.hasOwnProperty('blocks')) {
+        deserializeBlocks(object.blocks, target.blocks, extensions);
+    }
+    deserializeVariables(object, target);
+    return target;
+};
+
+/**
+ * Deserialize the Steina video and audio targets of a project. Video targets
+ * keep their saved `layerOrder`, which is applied when they are installed.
+ * @param {Array.<object>} objects Serialized Steina targets.
+ * @param {!Runtime} runtime Runtime object to load all structures into.
+ * @param {ImportedExtensionsInfo} extensions - (in/out) parsed extension information will be stored here.
+ * @return {Array.<Target>} The video and audio targets created.
+ */
+const parseSteinaTargets = function (objects, runtime, extensions) {
+    return objects.map(object => parseSteinaObject(object, runtime, extensions));
+};
+
 /**
  * Deserialize the specified representation of a VM runtime and loads it into the provided runtime instance.
  * @param  {object} json - JSON representation of a VM runtime.
@@ -879,12 +1070,15 @@ const deserialize = function (json, runtime, zip, isSingleSprite) {
         extensionIDs: new Set(),
         extensionURLs: new Map()
     };
+    const steinaTargets = isSingleSprite ? [] :
+        parseSteinaTargets(json.steinaTargets || [], runtime, extensions);
     return Promise.all(
         ((isSingleSprite ? [json] : json.targets) || []).map(target =>
             parseScratchObject(target, runtime, extensions, zip))
     ).then(targets => ({
-        targets,
-        extensions
+        targets: targets.concat(steinaTargets),
+        extensions,
+        mixer: (!isSingleSprite && json.steinaMixer) || null
     }));
 };
 
@@ -798,21 +798,18 @@ class RenderedTarget extends Target {
     }
 
     /**
-     * Move to the front layer.
+     * Move to the front layer of the runtime's draw order, which layers sprites
+     * and video targets together.
      */
     goToFront () {
-        if (this.renderer) {
-            this.renderer.setDrawableOrder(this.drawableID, Infinity);
-        }
+        this.runtime.drawOrder.goToFront(this);
     }
 
     /**
      * Move to the back layer.
      */
     goToBack () {
-        if (this.renderer) {
-            this.renderer.setDrawableOrder(this.drawableID, -Infinity, false, 1);
-        }
+        this.runtime.drawOrder.goToBack(this);
     }
 
     /**
@@ -820,9 +817,7 @@ class RenderedTarget extends Target {
      * @param {number} nLayers How many layers to go forward.
      */
     goForwardLayers (nLayers) {
-        if (this.renderer) {
-            this.renderer.setDrawableOrder(this.drawableID, nLayers, true, 1);
-        }
+        this.runtime.drawOrder.goForwardLayers(this, nLayers);
     }
 
     /**
@@ -830,21 +825,15 @@ class RenderedTarget extends Target {
      * @param {number} nLayers How many layers to go backward.
      */
     goBackwardLayers (nLayers) {
-        if (this.renderer) {
-            this.renderer.setDrawableOrder(this.drawableID, -nLayers, true, 1);
-        }
+        this.runtime.drawOrder.goForwardLayers(this, -nLayers);
     }
 
     /**
-     * Move behind some other rendered target.
-     * @param {!RenderedTarget} other Other rendered target to move behind.
+     * Move behind some other sprite or video target.
+     * @param {!Target} other Other target to move behind.
      */
     goBehindOther (other) {
-        if (this.renderer) {
-            const otherLayer = this.renderer.setDrawableOrder(
-                other.drawableID, 0, true);
-            this.renderer.setDrawableOrder(this.drawableID, otherLayer);
-        }
+        this.runtime.drawOrder.goBehind(this, other);
     }
 
     /**
@@ -1048,6 +1037,7 @@ class RenderedTarget extends Target {
         this.runtime.changeCloneCounter(-1);
         this.runtime.stopForTarget(this);
         this.sprite.removeClone(this);
+        this.runtime.drawOrder.remove(this);
         if (this.renderer && this.drawableID !== null) {
             this.renderer.destroyDrawable(this.drawableID);
             if (this.visible) {
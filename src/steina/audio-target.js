@@ -1,6 +1,7 @@
 const log = require('../util/log');
 const Target = require('../engine/target');
 const MathUtil = require('../util/math-util');
+const Markers = require('./markers');
 
 /**
  * Audio target: runtime object representing the state of an audio object
@@ -8,9 +9,26 @@ const MathUtil = require('../util/math-util');
  */
 class AudioTarget extends Target {
 
-  static get MAX_SIMULTANEOUS_NONBLOCKING_SOUNDS () {
-        return 25;
-    }
+  // Most sounds an audio target can start without waiting for them, unless set otherwise
+  static get DEFAULT_MAX_VOICES () {
+    return 64;
+  }
+
+  // Allowed [min, max] values of each audio effect. The host's audio engine applies them:
+  //   pitch: in tenths of a semitone like scratch3_sound, applied without changing playback rate
+  //   pan: -100 is fully left, 100 fully right
+  //   reverb, echo: wet mix in percent
+  //   lowpass, highpass: filter strength in percent, 0 leaves the sound unfiltered
+  static get EFFECT_RANGES () {
+    return {
+      pitch: [-360, 360],
+      pan: [-100, 100],
+      reverb: [0, 100],
+      echo: [0, 100],
+      lowpass: [0, 100],
+      highpass: [0, 100]
+    };
+  }
 
   constructor(runtime, id, audioInfo) {
     super(runtime, null);
@@ -19,6 +37,14 @@ class AudioTarget extends Target {
 
     // Variables from RenderedTarget
     this.volume = 100;
+    this.effects = {
+      pitch: 0,
+      pan: 0,
+      reverb: 0,
+      echo: 0,
+      lowpass: 0,
+      highpass: 0
+    };
 
     // Audio specific state
     this.totalSamples = 0;
@@ -27,12 +53,13 @@ class AudioTarget extends Target {
     this.trimStart = 0;
     this.trimEnd = 0;
     this.playbackRate = 100;
-    this.nonblockingSoundsAvailable = AudioTarget.MAX_SIMULTANEOUS_NONBLOCKING_SOUNDS;
+    this.maxVoices = AudioTarget.DEFAULT_MAX_VOICES; // Null for no limit
+    this.voiceStealing = null; // Null to use the project's policy from the runtime's mixer
 
     if (!!audioInfo) {
       this.totalSamples = audioInfo.totalSamples || 0;
       this.sampleRate = audioInfo.sampleRate || 48000;
-      this.markers = audioInfo.markers || [];
+      this.markers = Markers.normalize(audioInfo.markers);
       this.trimStart = audioInfo.trimStart || 0;
       this.trimEnd = audioInfo.trimEnd || this.totalSamples;
       this.playbackRate = audioInfo.playbackRate || 100;
@@ -43,6 +70,44 @@ class AudioTarget extends Target {
     this.volume = MathUtil.clamp(vol, 0, 500);
   }
 
+  setEffect (effectName, value) {
+    if (!this.effects.hasOwnProperty(effectName)) return;
+    var range = AudioTarget.EFFECT_RANGES[effectName];
+    this.effects[effectName] = MathUtil.clamp(value, range[0], range[1]);
+  }
+
+  clearEffects () {
+    for (var effectName in this.effects) {
+      this.effects[effectName] = 0;
+    }
+  }
+
+  // Trim the clip to the samples from start to end, clamped to the clip. Markers and
+  // sounds playing in progress are kept inside the new trim
+  setTrim (start, end) {
+    this.trimStart = MathUtil.clamp(start, 0, this.totalSamples);
+    this.trimEnd = MathUtil.clamp(end, this.trimStart, this.totalSamples);
+    Markers.clampToTrim(this);
+
+    var playing = this.runtime.audioState.playing;
+    for (var soundId in playing) {
+      var sound = playing[soundId];
+      // Audio tracks of videos using this clip belong to their video, not to this target
+      if (sound.audioTargetId !== this.id) continue;
+      if (Math.max(sound.start, sound.end) < this.trimStart ||
+          Math.min(sound.start, sound.end) > this.trimEnd) {
+        // The range being played was trimmed away, so blocks waiting on it carry on
+        delete playing[soundId];
+        continue;
+      }
+      sound.start = MathUtil.clamp(sound.start, this.trimStart, this.trimEnd);
+      sound.end = MathUtil.clamp(sound.end, this.trimStart, this.trimEnd);
+      var low = Math.min(sound.start, sound.end);
+      var high = Math.max(sound.start, sound.end);
+      sound.playhead = MathUtil.clamp(sound.playhead, low, high);
+    }
+  }
+
   setRate (rate) {
     // @TODO: Should we clamp this or is it fun to just go nuts with the rate?
     this.playbackRate = MathUtil.clamp(rate, 0, 1000);
@@ -53,6 +118,7 @@ class AudioTarget extends Target {
     return {
       id: this.id,
       volume: this.volume,
+      effects: this.effects,
       totalSamples: this.totalSamples,
       sampleRate: this.sampleRate,
       blocks: {
@@ -65,7 +131,9 @@ class AudioTarget extends Target {
       markers: this.markers,
       trimStart: this.trimStart,
       trimEnd: this.trimEnd,
-      playbackRate: this.playbackRate
+      playbackRate: this.playbackRate,
+      maxVoices: this.maxVoices,
+      voiceStealing: this.voiceStealing
     }
   }
 
@@ -76,6 +144,7 @@ class AudioTarget extends Target {
                                                    // sprite duplication method
 
     newTarget.volume = this.volume;
+    newTarget.effects = Object.assign({}, this.effects);
 
     // Audio specific state
     newTarget.totalSamples = this.totalSamples;
@@ -84,6 +153,8 @@ class AudioTarget extends Target {
     newTarget.trimStart = this.trimStart;
     newTarget.trimEnd = this.trimEnd;
     newTarget.playbackRate = this.playbackRate;
+    newTarget.maxVoices = this.maxVoices;
+    newTarget.voiceStealing = this.voiceStealing;
 
     // Copy blocks, vars, etc.
     newTarget.blocks = this.blocks.duplicate();
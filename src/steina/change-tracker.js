@@ -0,0 +1,191 @@
+const Clone = require('../util/clone');
+const VideoTarget = require('./video-target');
+const AudioTarget = require('./audio-target');
+
+/**
+ * Properties of video targets whose changes are reported: the frame, the
+ * position on the stage (including size and direction), visibility, effects,
+ * and the name, trim and markers edited by the host.
+ * @type {Array.<string>}
+ */
+const VIDEO_PROPERTIES = [
+    'currentFrame', 'x', 'y', 'size', 'direction', 'visible', 'effects',
+    'name', 'trimStart', 'trimEnd', 'markers'
+];
+
+/**
+ * Properties of audio targets whose changes are reported.
+ * @type {Array.<string>}
+ */
+const AUDIO_PROPERTIES = ['volume', 'playbackRate', 'trimStart', 'trimEnd', 'markers'];
+
+/**
+ * Find what changed between two snapshots of a target.
+ * @param {?object} previous The last reported snapshot, or null for a new target.
+ * @param {!object} current The current snapshot.
+ * @param {Array.<string>} properties The properties to compare.
+ * @return {?object} The changed properties with their new values, only listing
+ * the changed keys of object properties like effects, or null if nothing changed.
+ * Array properties like markers are reported whole.
+ */
+const diffSnapshots = function (previous, current, properties) {
+    const changes = {};
+    let changed = false;
+    properties.forEach(property => {
+        const value = current[property];
+        if (Array.isArray(value)) {
+            if (!previous || JSON.stringify(previous[property]) !== JSON.stringify(value)) {
+                changes[property] = Clone.simple(value);
+                changed = true;
+            }
+        } else if (value !== null && typeof value === 'object') {
+            const previousValue = previous ? previous[property] : null;
+            const nestedChanges = {};
+            let nestedChanged = false;
+            Object.keys(value).forEach(key => {
+                if (!previousValue || previousValue[key] !== value[key]) {
+                    nestedChanges[key] = value[key];
+                    nestedChanged = true;
+                }
+            });
+            if (nestedChanged) {
+                changes[property] = nestedChanges;
+                changed = true;
+            }
+        } else if (!previous || previous[property] !== value) {
+            changes[property] = value;
+            changed = true;
+        }
+    });
+    return changed ? changes : null;
+};
+
+/**
+ * Copy the given properties of a target, so later changes to it can be found.
+ * @param {!Target} target The target.
+ * @param {Array.<string>} properties The properties to copy.
+ * @return {object} The snapshot.
+ */
+const takeSnapshot = function (target, properties) {
+    const snapshot = {};
+    properties.forEach(property => {
+        const value = target[property];
+        if (Array.isArray(value)) {
+            snapshot[property] = Clone.simple(value);
+        } else {
+            snapshot[property] = (value !== null && typeof value === 'object') ? Object.assign({}, value) : value;
+        }
+    });
+    return snapshot;
+};
+
+/**
+ * Reports changes to the state of video and audio targets and playing sounds
+ * as events on the runtime, so hosts can update only what changed instead of
+ * polling the whole state. Changes are found by comparing against the state
+ * reported last time, once per step, so any number of changes during a step
+ * are reported together as one diff. Edits made by the host through the VM
+ * are reported right away, since no steps run while the project is paused.
+ */
+class ChangeTracker {
+    constructor (runtime) {
+        /**
+         * The runtime whose targets are tracked, and which emits the events.
+         * @type {!Runtime}
+         */
+        this.runtime = runtime;
+
+        /**
+         * Last reported snapshots of video targets, by target id.
+         * @type {Object.<string, object>}
+         */
+        this._videoTargets = {};
+
+        /**
+         * Last reported snapshots of audio targets, by target id.
+         * @type {Object.<string, object>}
+         */
+        this._audioTargets = {};
+
+        /**
+         * Last reported draw order of sprites and video targets.
+         * @type {Array.<string>}
+         */
+        this._order = [];
+
+        /**
+         * Ids of the sounds reported as started and not yet as stopped.
+         * @type {Array.<string>}
+         */
+        this._startedSounds = [];
+    }
+
+    /**
+     * Compare targets of one kind against their last reported snapshots.
+     * @param {Array.<!Target>} targets The targets as they are now.
+     * @param {object.<string, object>} previousSnapshots Last reported snapshots, by target id.
+     * @param {Array.<string>} properties The properties to compare.
+     * @return {{snapshots: object.<string, object>, diff: ?object}} New snapshots, and the
+     * changes by target id, with null for removed targets, or null if nothing changed.
+     * @private
+     */
+    _diffTargets (targets, previousSnapshots, properties) {
+        const snapshots = {};
+        const diff = {};
+        let changed = false;
+        targets.forEach(target => {
+            snapshots[target.id] = takeSnapshot(target, properties);
+            const changes = diffSnapshots(previousSnapshots[target.id] || null, snapshots[target.id], properties);
+            if (changes) {
+                diff[target.id] = changes;
+                changed = true;
+            }
+        });
+        Object.keys(previousSnapshots).forEach(id => {
+            if (!snapshots.hasOwnProperty(id)) {
+                diff[id] = null;
+                changed = true;
+            }
+        });
+        return {snapshots, diff: changed ? diff : null};
+    }
+
+    /**
+     * Emit events for everything which changed since the last call. Called by
+     * the runtime at the end of every step.
+     */
+    emitChanges () {
+        const runtime = this.runtime;
+        const events = runtime.constructor;
+
+        const video = this._diffTargets(
+            runtime.targets.filter(target => target instanceof VideoTarget), this._videoTargets, VIDEO_PROPERTIES);
+        this._videoTargets = video.snapshots;
+        if (video.diff) runtime.emit(events.VIDEO_TARGETS_CHANGED, video.diff);
+
+        const order = runtime.drawOrder.ids;
+        if (order.length !== this._order.length || order.some((id, index) => this._order[index] !== id)) {
+            this._order = order.slice();
+            runtime.emit(events.DRAW_ORDER_CHANGED, order.slice());
+        }
+
+        const audio = this._diffTargets(
+            runtime.targets.filter(target => target instanceof AudioTarget), this._audioTargets, AUDIO_PROPERTIES);
+        this._audioTargets = audio.snapshots;
+        if (audio.diff) runtime.emit(events.AUDIO_TARGETS_CHANGED, audio.diff);
+
+        // Sounds queued to start later are reported once they actually start
+        const playing = runtime.audioState.playing;
+        const startedSounds = Object.keys(playing).filter(id => playing[id].started);
+        const stopped = this._startedSounds.filter(id => startedSounds.indexOf(id) === -1);
+        const started = {};
+        startedSounds.forEach(id => {
+            if (this._startedSounds.indexOf(id) === -1) started[id] = Object.assign({}, playing[id]);
+        });
+        this._startedSounds = startedSounds;
+        if (stopped.length > 0) runtime.emit(events.SOUNDS_STOPPED, stopped);
+        if (Object.keys(started).length > 0) runtime.emit(events.SOUNDS_STARTED, started);
+    }
+}
+
+module.exports = ChangeTracker;
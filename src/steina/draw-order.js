@@ -0,0 +1,148 @@
+const MathUtil = require('../util/math-util');
+const RenderedTarget = require('../sprites/rendered-target');
+const VideoTarget = require('./video-target');
+
+/**
+ * Check whether a target has a drawable in the renderer.
+ * @param {!Target} target The target.
+ * @return {boolean} True if the renderer draws the target.
+ */
+const hasDrawable = function (target) {
+    return !!target.renderer && target.drawableID !== null && typeof target.drawableID !== 'undefined';
+};
+
+/**
+ * The layering of every target drawn on the stage, sprites and video targets
+ * alike, from back to front. The stage is always drawn behind all of them.
+ * Video targets are drawn by the host and sprites by the renderer, so the
+ * renderer's drawables are moved along to keep sprites in the same order.
+ */
+class DrawOrder {
+    constructor (runtime) {
+        /**
+         * The runtime whose targets are layered.
+         * @type {!Runtime}
+         */
+        this.runtime = runtime;
+
+        /**
+         * Ids of the layered targets, from back to front.
+         * @type {Array.<string>}
+         */
+        this.ids = [];
+    }
+
+    /**
+     * @param {!Target} target A target.
+     * @return {boolean} True for the kinds of targets which are layered: sprites and video targets.
+     */
+    static isLayered (target) {
+        return target instanceof VideoTarget || (target instanceof RenderedTarget && !target.isStage);
+    }
+
+    /**
+     * Forget all layers, e.g. when the project is cleared.
+     */
+    reset () {
+        this.ids = [];
+    }
+
+    /**
+     * @param {!Target} target A target.
+     * @return {number} The target's layer, from 0 at the back, or -1 if it isn't layered.
+     */
+    getLayer (target) {
+        return this.ids.indexOf(target.id);
+    }
+
+    /**
+     * @return {Array.<!Target>} The layered targets, from back to front.
+     */
+    getTargets () {
+        return this.ids
+            .map(id => this.runtime.getTargetById(id))
+            .filter(target => !!target);
+    }
+
+    /**
+     * Move a target to a layer, adding it if it isn't layered yet.
+     * @param {!Target} target The target to move.
+     * @param {number} layer The new layer, from 0 at the back. Clamped to the existing layers.
+     */
+    setLayer (target, layer) {
+        this.remove(target);
+        const index = MathUtil.clamp(Math.round(layer), 0, this.ids.length);
+        this.ids.splice(index, 0, target.id);
+        this._syncRenderer(target);
+    }
+
+    /**
+     * Stop layering a target, e.g. after it was deleted.
+     * @param {!Target} target The target to remove.
+     */
+    remove (target) {
+        const index = this.getLayer(target);
+        if (index !== -1) {
+            this.ids.splice(index, 1);
+        }
+    }
+
+    /**
+     * @param {!Target} target The target to move in front of all others.
+     */
+    goToFront (target) {
+        this.setLayer(target, Infinity);
+    }
+
+    /**
+     * @param {!Target} target The target to move behind all others.
+     */
+    goToBack (target) {
+        this.setLayer(target, 0);
+    }
+
+    /**
+     * Move a target forward, or backward for negative numbers, a number of layers.
+     * Targets which aren't layered yet start from the front.
+     * @param {!Target} target The target to move.
+     * @param {number} nLayers How many layers to move forward.
+     */
+    goForwardLayers (target, nLayers) {
+        const layer = this.getLayer(target);
+        this.setLayer(target, (layer === -1 ? this.ids.length : layer) + nLayers);
+    }
+
+    /**
+     * Move a target directly behind another target.
+     * @param {!Target} target The target to move.
+     * @param {!Target} other The target to move behind. Nothing happens if it isn't layered.
+     */
+    goBehind (target, other) {
+        if (target === other || this.getLayer(other) === -1) return;
+        this.remove(target);
+        this.setLayer(target, this.getLayer(other));
+    }
+
+    /**
+     * Move the drawable of a sprite to match its layer: directly behind the
+     * nearest sprite in front of it, or in front of all drawables if there is none.
+     * @param {!Target} target The target which was moved.
+     * @private
+     */
+    _syncRenderer (target) {
+        if (!hasDrawable(target)) return;
+        const renderer = target.renderer;
+        const above = this.ids
+            .slice(this.getLayer(target) + 1)
+            .map(id => this.runtime.getTargetById(id))
+            .find(other => !!other && hasDrawable(other));
+        if (above) {
+            const aboveLayer = renderer.setDrawableOrder(above.drawableID, 0, true);
+            renderer.setDrawableOrder(target.drawableID, aboveLayer);
+        } else {
+            renderer.setDrawableOrder(target.drawableID, Infinity);
+        }
+    }
+}
+
+module.exports = DrawOrder;
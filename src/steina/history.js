@@ -0,0 +1,126 @@
+/**
+ * @typedef {object} HistoryCommand
+ * @property {Function} undo - revert the edit.
+ * @property {Function} redo - apply the edit again after it was undone.
+ */
+
+/**
+ * Undo and redo stacks of editing commands. Edits apply themselves when they
+ * are made, then record a command which can revert and re-apply them.
+ */
+class History {
+    constructor () {
+        /**
+         * Commands which can be undone, most recent last.
+         * @type {Array.<HistoryCommand>}
+         */
+        this._undoStack = [];
+
+        /**
+         * Commands which were undone and can be redone, most recently undone last.
+         * @type {Array.<HistoryCommand>}
+         */
+        this._redoStack = [];
+
+        /**
+         * Whether a command is being undone or redone. Edits made by the command
+         * itself are not recorded again.
+         * @type {boolean}
+         */
+        this.isApplying = false;
+    }
+
+    /**
+     * Most commands kept for undoing; older ones are forgotten.
+     * @type {number}
+     */
+    static get MAX_COMMANDS () {
+        return 100;
+    }
+
+    /**
+     * Record an edit which was just made. Forgets the undone commands, since
+     * they no longer follow from the current state.
+     * @param {HistoryCommand} command The command reverting and re-applying the edit.
+     */
+    record (command) {
+        if (this.isApplying) return;
+        this._undoStack.push(command);
+        if (this._undoStack.length > History.MAX_COMMANDS) {
+            this._undoStack.shift();
+        }
+        this._redoStack = [];
+    }
+
+    /**
+     * @return {?HistoryCommand} The command undone by the next `undo`, if any.
+     */
+    peek () {
+        return this._undoStack.length > 0 ? this._undoStack[this._undoStack.length - 1] : null;
+    }
+
+    /**
+     * @return {boolean} True if there is an edit to undo.
+     */
+    canUndo () {
+        return this._undoStack.length > 0;
+    }
+
+    /**
+     * @return {boolean} True if there is an undone edit to redo.
+     */
+    canRedo () {
+        return this._redoStack.length > 0;
+    }
+
+    /**
+     * Undo the most recent edit.
+     * @return {boolean} True if an edit was undone.
+     */
+    undo () {
+        const command = this._undoStack[this._undoStack.length - 1];
+        if (!command) return false;
+        // Only move the command to the redo stack once it's undone, so it isn't lost if undoing fails
+        this._apply(() => command.undo());
+        this._undoStack.pop();
+        this._redoStack.push(command);
+        return true;
+    }
+
+    /**
+     * Redo the most recently undone edit.
+     * @return {boolean} True if an edit was redone.
+     */
+    redo () {
+        const command = this._redoStack[this._redoStack.length - 1];
+        if (!command) return false;
+        this._apply(() => command.redo());
+        this._redoStack.pop();
+        this._undoStack.push(command);
+        return true;
+    }
+
+    /**
+     * Forget all edits, e.g. when another project is loaded.
+     */
+    clear () {
+        this._undoStack = [];
+        this._redoStack = [];
+    }
+
+    /**
+     * Run part of a command without recording the edits it makes.
+     * @param {Function} fn The function to run.
+     * @private
+     */
+    _apply (fn) {
+        this.isApplying = true;
+        try {
+            fn();
+        } finally {
+            this.isApplying = false;
+        }
+    }
+}
+
+module.exports = History;
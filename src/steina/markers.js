@@ -0,0 +1,192 @@
+const MathUtil = require('../util/math-util');
+const StringUtil = require('../util/string-util');
+const uid = require('../util/uid');
+
+/**
+ * @typedef {object} Marker
+ * @property {string} id - stable id of the marker, referenced by block arguments.
+ * @property {string} name - user-editable name of the marker, shown in block menus.
+ * @property {number} position - frame (video) or sample (audio) the marker is placed at.
+ */
+
+/**
+ * Helpers for the named markers of video and audio targets. Markers are kept
+ * sorted by position so that menus list them in the order they appear in the clip.
+ */
+class Markers {
+    /**
+     * Menu value referring to the trimmed start of a clip.
+     * @type {string}
+     */
+    static get START () {
+        return 'start';
+    }
+
+    /**
+     * Menu value referring to the trimmed end of a clip.
+     * @type {string}
+     */
+    static get END () {
+        return 'end';
+    }
+
+    /**
+     * Convert a list of markers into marker objects. Older projects stored
+     * markers as bare positions, which are given fresh ids and are numbered
+     * in position order.
+     * @param {Array.<number|Marker>} markers The markers to normalize.
+     * @return {Array.<Marker>} The normalized markers, sorted by position.
+     */
+    static normalize (markers) {
+        const normalized = Markers.sort((markers || []).map(marker => {
+            if (typeof marker === 'object' && marker !== null) {
+                return {
+                    id: marker.id || uid(),
+                    name: marker.name || null,
+                    position: Number(marker.position) || 0
+                };
+            }
+            return {id: uid(), name: null, position: Number(marker) || 0};
+        }));
+        // Number unnamed markers in position order, skipping names in use
+        const names = normalized.filter(marker => marker.name).map(marker => marker.name);
+        normalized.forEach(marker => {
+            if (!marker.name) {
+                marker.name = StringUtil.unusedName('1', names);
+                names.push(marker.name);
+            }
+        });
+        return normalized;
+    }
+
+    /**
+     * Sort markers in place by position.
+     * @param {Array.<Marker>} markers The markers to sort.
+     * @return {Array.<Marker>} The same markers array, sorted.
+     */
+    static sort (markers) {
+        return markers.sort((a, b) => a.position - b.position);
+    }
+
+    /**
+     * Find a marker of a target by id.
+     * @param {!Target} target The video or audio target owning the marker.
+     * @param {string} markerId The id of the marker.
+     * @return {?Marker} The marker, or null if the target has no such marker.
+     */
+    static get (target, markerId) {
+        return target.markers.find(marker => marker.id === markerId) || null;
+    }
+
+    /**
+     * Add a new marker to a target, clamped to the target's trimmed range.
+     * @param {!Target} target The video or audio target to add the marker to.
+     * @param {number} position The frame or sample to place the marker at.
+     * @param {string=} name Optional name for the marker; defaults to the next unused number.
+     * @return {Marker} The newly created marker.
+     */
+    static add (target, position, name) {
+        const existingNames = target.markers.map(marker => marker.name);
+        const marker = {
+            id: uid(),
+            name: StringUtil.unusedName(name || '1', existingNames),
+            position: MathUtil.clamp(Number(position) || 0, target.trimStart, target.trimEnd)
+        };
+        target.markers.push(marker);
+        Markers.sort(target.markers);
+        return marker;
+    }
+
+    /**
+     * Rename a marker of a target, keeping marker names unique.
+     * @param {!Target} target The video or audio target owning the marker.
+     * @param {string} markerId The id of the marker to rename.
+     * @param {string} newName The requested new name.
+     * @return {boolean} True if the marker was renamed.
+     */
+    static rename (target, markerId, newName) {
+        const marker = Markers.get(target, markerId);
+        if (!marker || !newName) return false;
+        const otherNames = target.markers
+            .filter(other => other !== marker)
+            .map(other => other.name);
+        marker.name = StringUtil.unusedName(newName, otherNames);
+        return true;
+    }
+
+    /**
+     * Move a marker of a target, clamped to the target's trimmed range.
+     * @param {!Target} target The video or audio target owning the marker.
+     * @param {string} markerId The id of the marker to move.
+     * @param {number} newPosition The frame or sample to move the marker to.
+     * @return {boolean} True if the marker was moved.
+     */
+    static move (target, markerId, newPosition) {
+        const marker = Markers.get(target, markerId);
+        if (!marker) return false;
+        marker.position = MathUtil.clamp(Number(newPosition) || 0, target.trimStart, target.trimEnd);
+        Markers.sort(target.markers);
+        return true;
+    }
+
+    /**
+     * Move the markers of a target back inside its trimmed range, e.g. after
+     * the trim changed. Markers outside the range are moved to its nearest end.
+     * @param {!Target} target The video or audio target owning the markers.
+     */
+    static clampToTrim (target) {
+        target.markers.forEach(marker => {
+            marker.position = MathUtil.clamp(marker.position, target.trimStart, target.trimEnd);
+        });
+        Markers.sort(target.markers);
+    }
+
+    /**
+     * Delete a marker of a target.
+     * @param {!Target} target The video or audio target owning the marker.
+     * @param {string} markerId The id of the marker to delete.
+     * @return {boolean} True if the marker was deleted.
+     */
+    static delete (target, markerId) {
+        const index = target.markers.findIndex(marker => marker.id === markerId);
+        if (index === -1) return false;
+        target.markers.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Check whether a playhead moving from one position to another crossed the
+     * given position, in either direction. The destination counts as crossed but
+     * the origin does not, so a position is only crossed once when the playhead
+     * stops on it.
+     * @param {number} position The marker position to check.
+     * @param {number} from Position of the playhead before moving.
+     * @param {number} to Position of the playhead after moving.
+     * @return {boolean} True if the playhead crossed the position.
+     */
+    static isCrossed (position, from, to) {
+        if (from < to) return position > from && position <= to;
+        if (from > to) return position < from && position >= to;
+        return false;
+    }
+
+    /**
+     * Resolve a marker block argument to a frame or sample position.
+     * The argument is either `start`, `end`, a marker id or, for blocks saved
+     * before markers had ids, a bare position.
+     * @param {!Target} target The video or audio target the argument refers to.
+     * @param {string|number} markerArg The marker argument of a block.
+     * @return {?number} The position, or null if the argument matches nothing (e.g. a deleted marker).
+     */
+    static resolvePosition (target, markerArg) {
+        if (markerArg === Markers.START) return target.trimStart;
+        if (markerArg === Markers.END) return target.trimEnd;
+        const marker = Markers.get(target, markerArg);
+        if (marker) return marker.position;
+        const position = Number(markerArg);
+        if (markerArg === null || markerArg === '' || isNaN(position)) return null;
+        return position;
+    }
+}
+
+module.exports = Markers;
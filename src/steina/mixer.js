@@ -0,0 +1,363 @@
+const MathUtil = require('../util/math-util');
+
+/**
+ * @typedef {object} MixerChannel
+ * @property {boolean} muted - whether the audio target is silenced.
+ * @property {boolean} soloed - whether the audio target is soloed. While any
+ * target is soloed, only soloed targets are heard.
+ * @property {number} ducking - how much, in percent, the audio target lowers
+ * the other targets while it is playing, e.g. to keep narration over music.
+ */
+
+/**
+ * Mixes the audio targets of a runtime: a master volume plus mute, solo and
+ * ducking per audio target. The host's audio engine plays each target at the
+ * output volume reported by `getChannelInfo`.
+ */
+class Mixer {
+    constructor (runtime) {
+        /**
+         * The runtime owning this mixer.
+         * @type {!Runtime}
+         */
+        this.runtime = runtime;
+
+        /**
+         * Volume applied on top of every audio target's own volume, in percent.
+         * @type {number}
+         */
+        this.masterVolume = 100;
+
+        /**
+         * Mixer channels of audio targets, by target id. Targets without a
+         * channel use the defaults from `_getChannel`.
+         * @type {Object.<string, MixerChannel>}
+         */
+        this._channels = {};
+
+        /**
+         * Most sounds the whole project can play at once, or null for no limit.
+         * Audio targets also have their own limit, `maxVoices`. Sounds played
+         * "until done" don't count; see `_getLimitedVoices`.
+         * @type {?number}
+         */
+        this.maxVoices = null;
+
+        /**
+         * What to do when a sound would play past a voice limit, for audio
+         * targets which don't set their own policy. One of `Mixer.VOICE_STEALING`.
+         * @type {string}
+         */
+        this.voiceStealing = Mixer.VOICE_STEALING.REFUSE;
+    }
+
+    /**
+     * Policies for starting a sound when too many are already playing.
+     * OLDEST and QUIETEST stop a playing sound to make room for the new one;
+     * REFUSE doesn't play the new sound.
+     * @type {object}
+     */
+    static get VOICE_STEALING () {
+        return {
+            OLDEST: 'oldest',
+            QUIETEST: 'quietest',
+            REFUSE: 'refuse'
+        };
+    }
+
+    /**
+     * Reset the mixer and forget all channels, e.g. when a project is cleared.
+     */
+    reset () {
+        this.masterVolume = 100;
+        this._channels = {};
+        this.maxVoices = null;
+        this.voiceStealing = Mixer.VOICE_STEALING.REFUSE;
+    }
+
+    /**
+     * Set the voice limit and stealing policy of the project.
+     * @param {?number} maxVoices Most sounds the project can play at once, or null for no limit.
+     * @param {string=} voiceStealing One of `Mixer.VOICE_STEALING`. Unchanged if omitted or unknown.
+     */
+    setPolyphony (maxVoices, voiceStealing) {
+        this.maxVoices = Mixer.normalizeMaxVoices(maxVoices);
+        if (Mixer.isVoiceStealingPolicy(voiceStealing)) {
+            this.voiceStealing = voiceStealing;
+        }
+    }
+
+    /**
+     * @param {*} maxVoices A voice limit.
+     * @return {?number} The limit as a whole number of at least one, or null for no limit.
+     */
+    static normalizeMaxVoices (maxVoices) {
+        if (maxVoices === null || typeof maxVoices === 'undefined' || maxVoices === '') return null;
+        const number = Number(maxVoices);
+        if (isNaN(number)) return null;
+        return Math.max(1, Math.round(number));
+    }
+
+    /**
+     * @param {*} policy A voice stealing policy.
+     * @return {boolean} True if the policy is one of `Mixer.VOICE_STEALING`.
+     */
+    static isVoiceStealingPolicy (policy) {
+        const policies = Mixer.VOICE_STEALING;
+        return Object.keys(policies).some(key => policies[key] === policy);
+    }
+
+    /**
+     * Get the ids of the sounds currently playing or queued, oldest first. The
+     * audio tracks of videos play along with their video, belong to no audio
+     * target and don't take voices.
+     * @param {string=} targetId Only list the sounds of this audio target.
+     * @return {Array.<string>} Ids of the sounds in `audioState.playing`.
+     */
+    getVoices (targetId) {
+        const playing = this.runtime.audioState.playing;
+        return Object.keys(playing)
+            .filter(id => !playing[id].videoTargetId)
+            .filter(id => !targetId || playing[id].audioTargetId === targetId)
+            .sort((a, b) => (playing[a].startTime || 0) - (playing[b].startTime || 0));
+    }
+
+    /**
+     * Get the ids of the sounds which count against the voice limits, oldest
+     * first. Sounds played "until done" don't: their scripts wait for them, so
+     * they always play rather than being refused or stopped to make room.
+     * @param {string=} targetId Only list the sounds of this audio target.
+     * @return {Array.<string>} Ids of the sounds in `audioState.playing`.
+     * @private
+     */
+    _getLimitedVoices (targetId) {
+        const playing = this.runtime.audioState.playing;
+        return this.getVoices(targetId).filter(id => !playing[id].blocking);
+    }
+
+    /**
+     * Make room for a new sound of an audio target within the target's and the
+     * project's voice limits, stopping other sounds if the policy allows it.
+     * Only sounds which don't block their script are limited; see `_getLimitedVoices`.
+     * @param {!AudioTarget} target The audio target about to play a sound.
+     * @return {boolean} True if the sound may play, false if it was refused.
+     */
+    allocateVoice (target) {
+        const policy = target.voiceStealing || this.voiceStealing;
+        const limits = [
+            {voices: () => this._getLimitedVoices(target.id), max: target.maxVoices},
+            {voices: () => this._getLimitedVoices(), max: this.maxVoices}
+        ];
+        for (const limit of limits) {
+            if (limit.max === null) continue;
+            let voices = limit.voices();
+            while (voices.length >= limit.max) {
+                if (policy === Mixer.VOICE_STEALING.REFUSE) return false;
+                this._stealVoice(voices, policy);
+                voices = limit.voices();
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Stop one of the given sounds to free its voice.
+     * @param {Array.<string>} voices Ids of the candidate sounds, oldest first.
+     * @param {string} policy OLDEST or QUIETEST from `Mixer.VOICE_STEALING`.
+     * @private
+     */
+    _stealVoice (voices, policy) {
+        const playing = this.runtime.audioState.playing;
+        let stolen = voices[0];
+        if (policy === Mixer.VOICE_STEALING.QUIETEST) {
+            // Sounds of one target all play at the same volume, so ties go to the oldest
+            let quietest = Infinity;
+            voices.forEach(id => {
+                const target = this.runtime.getTargetById(playing[id].audioTargetId);
+                const volume = target ? this.getOutputVolume(target) : 0;
+                if (volume < quietest) {
+                    quietest = volume;
+                    stolen = id;
+                }
+            });
+        }
+        delete playing[stolen];
+    }
+
+    /**
+     * Stop the sounds of an audio target, without running its "when sound finishes" hats.
+     * Blocks waiting for a stopped sound to finish carry on with their script.
+     * @param {string} targetId Id of the audio target.
+     * @param {string=} topBlockId Only stop the sounds started by the script with this top block.
+     */
+    stopSounds (targetId, topBlockId) {
+        const playing = this.runtime.audioState.playing;
+        this.getVoices(targetId).forEach(id => {
+            if (topBlockId && playing[id].topBlockId !== topBlockId) return;
+            delete playing[id];
+        });
+    }
+
+    /**
+     * Pause the sounds of an audio target. Paused sounds keep their playheads
+     * and voices, and blocks waiting for them keep waiting.
+     * @param {string} targetId Id of the audio target.
+     */
+    pauseSounds (targetId) {
+        const playing = this.runtime.audioState.playing;
+        const now = this.runtime.audioState.currentTime;
+        this.getVoices(targetId).forEach(id => {
+            if (playing[id].paused) return;
+            playing[id].paused = true;
+            playing[id].pausedAt = now;
+        });
+    }
+
+    /**
+     * Resume the paused sounds of an audio target from where they were paused.
+     * Sounds queued to start later are pushed back by how long they were paused.
+     * @param {string} targetId Id of the audio target.
+     */
+    resumeSounds (targetId) {
+        const playing = this.runtime.audioState.playing;
+        const now = this.runtime.audioState.currentTime;
+        this.getVoices(targetId).forEach(id => {
+            const sound = playing[id];
+            if (!sound.paused) return;
+            const pausedFor = now - sound.pausedAt;
+            if (sound.startTime > sound.pausedAt) sound.startTime += pausedFor;
+            sound.playheadTime += pausedFor;
+            delete sound.paused;
+            delete sound.pausedAt;
+        });
+    }
+
+    /**
+     * @param {string} targetId Id of an audio target.
+     * @return {MixerChannel} The target's channel, or the defaults if it has none.
+     * @private
+     */
+    _getChannel (targetId) {
+        return this._channels[targetId] || {muted: false, soloed: false, ducking: 0};
+    }
+
+    /**
+     * Update the channel of an audio target, creating it if needed.
+     * @param {string} targetId Id of an audio target.
+     * @param {object} changes Channel properties to change.
+     * @private
+     */
+    _updateChannel (targetId, changes) {
+        this._channels[targetId] = Object.assign(this._getChannel(targetId), changes);
+    }
+
+    /**
+     * Forget the channel of an audio target, e.g. after it was deleted.
+     * @param {string} targetId Id of the audio target.
+     */
+    removeTarget (targetId) {
+        delete this._channels[targetId];
+    }
+
+    /**
+     * @param {number} volume New master volume, in percent, clamped between 0 and 100.
+     */
+    setMasterVolume (volume) {
+        this.masterVolume = MathUtil.clamp(volume, 0, 100);
+    }
+
+    /**
+     * @param {string} targetId Id of an audio target.
+     * @param {boolean} muted Whether to silence the target.
+     */
+    setMuted (targetId, muted) {
+        this._updateChannel(targetId, {muted: !!muted});
+    }
+
+    /**
+     * @param {string} targetId Id of an audio target.
+     * @param {boolean} soloed Whether to solo the target.
+     */
+    setSoloed (targetId, soloed) {
+        this._updateChannel(targetId, {soloed: !!soloed});
+    }
+
+    /**
+     * @param {string} targetId Id of an audio target.
+     * @param {number} ducking How much the target lowers other targets while it
+     * plays, in percent, clamped between 0 and 100.
+     */
+    setDucking (targetId, ducking) {
+        this._updateChannel(targetId, {ducking: MathUtil.clamp(ducking, 0, 100)});
+    }
+
+    /**
+     * Check whether an audio target can be heard, given mute and solo.
+     * @param {string} targetId Id of an audio target.
+     * @return {boolean} True unless the target is muted or another target is soloed.
+     */
+    isAudible (targetId) {
+        const channel = this._getChannel(targetId);
+        if (channel.muted) return false;
+        const anySoloed = Object.keys(this._channels).some(id => this._channels[id].soloed);
+        return !anySoloed || channel.soloed;
+    }
+
+    /**
+     * Get the largest ducking applied to an audio target by the other audible
+     * targets which are currently playing.
+     * @param {?string} targetId Id of the audio target being ducked, or null for
+     * the audio tracks of videos, which every playing target can duck.
+     * @return {number} The ducking in percent, 0 if no other target ducks it.
+     * @private
+     */
+    _getDuckingOf (targetId) {
+        const playing = this.runtime.audioState.playing;
+        let ducking = 0;
+        for (const soundId in playing) {
+            const sound = playing[soundId];
+            // Audio tracks of videos have no channel, so they don't duck anything
+            if (sound.videoTargetId) continue;
+            if (sound.audioTargetId === targetId || !sound.started || sound.paused) continue;
+            if (!this.isAudible(sound.audioTargetId)) continue;
+            ducking = Math.max(ducking, this._getChannel(sound.audioTargetId).ducking);
+        }
+        return ducking;
+    }
+
+    /**
+     * Get the volume the host should play an audio target at, combining its own
+     * volume with the master volume, mute, solo and ducking.
+     * @param {!AudioTarget} target The audio target.
+     * @return {number} The output volume, in percent.
+     */
+    getOutputVolume (target) {
+        if (!this.isAudible(target.id)) return 0;
+        const ducking = this._getDuckingOf(target.id);
+        return target.volume * (this.masterVolume / 100) * (1 - (ducking / 100));
+    }
+
+    /**
+     * Get the volume the host should play the audio tracks of videos at. Tracks
+     * have no channel of their own: they play at the master volume, ducked by
+     * the audio targets playing over them.
+     * @return {number} The output volume, in percent.
+     */
+    getTrackVolume () {
+        return this.masterVolume * (1 - (this._getDuckingOf(null) / 100));
+    }
+
+    /**
+     * Get the mixer state of an audio target, as reported to the host.
+     * @param {!AudioTarget} target The audio target.
+     * @return {object} The target's channel and its output volume.
+     */
+    getChannelInfo (target) {
+        return Object.assign({}, this._getChannel(target.id), {
+            masterVolume: this.masterVolume,
+            outputVolume: this.getOutputVolume(target)
+        });
+    }
+}
+
+module.exports = Mixer;
@@ -1,6 +1,43 @@
-const log = require('../util/log');
 const Target = require('../engine/target');
 const MathUtil = require('../util/math-util');
+const Markers = require('./markers');
+
+/**
+ * Project each point onto an axis
+ * @param {Array.<{x: number, y: number}>} points Points to project
+ * @param {number} axisX X component of the axis
+ * @param {number} axisY Y component of the axis
+ * @return {Array.<number>} Position of each point along the axis
+ */
+const projectOnto = function (points, axisX, axisY) {
+  return points.map(point => (point.x * axisX) + (point.y * axisY));
+};
+
+/**
+ * Check whether two convex polygons overlap using the separating axis theorem
+ * @param {Array.<{x: number, y: number}>} a Corners of the first polygon, in order
+ * @param {Array.<{x: number, y: number}>} b Corners of the second polygon, in order
+ * @return {boolean} True if the polygons overlap
+ */
+const polygonsIntersect = function (a, b) {
+  var polygons = [a, b];
+  for (var p = 0; p < polygons.length; p++) {
+    var polygon = polygons[p];
+    for (var i = 0; i < polygon.length; i++) {
+      var current = polygon[i];
+      var next = polygon[(i + 1) % polygon.length];
+      var axisX = next.y - current.y;
+      var axisY = current.x - next.x;
+      var projectedA = projectOnto(a, axisX, axisY);
+      var projectedB = projectOnto(b, axisX, axisY);
+      if (Math.max.apply(null, projectedA) < Math.min.apply(null, projectedB) ||
+          Math.max.apply(null, projectedB) < Math.min.apply(null, projectedA)) {
+        return false;
+      }
+    }
+  }
+  return true;
+};
 
 /**
  * Video target: runtime object representing the state of a video object
@@ -10,6 +47,35 @@ const MathUtil = require('../util/math-util');
  */
 class VideoTarget extends Target {
 
+  /**
+   * Loop modes for non-blocking video playback
+   */
+  static get LOOP_MODES () {
+    return {
+      OFF: 'off',
+      LOOP: 'loop',
+      PING_PONG: 'ping-pong'
+    };
+  }
+
+  /**
+   * Allowed [min, max] values per video effect. Effects without an entry
+   * (color, whirl) are unbounded and wrap around in the renderer.
+   */
+  static get EFFECT_RANGES () {
+    return {
+      brightness: [-100, 100],
+      ghost: [0, 100],
+      pixelate: [0, 500],
+      mosaic: [0, 500],
+      fisheye: [-100, 500],
+      crystallize: [0, 100],
+      kaleidoscope: [0, 100],
+      saturation: [-100, 100],
+      contrast: [-100, 100]
+    };
+  }
+
   constructor(runtime, id, videoInfo) {
     super(runtime, null);
 
@@ -18,7 +84,10 @@ class VideoTarget extends Target {
       this.id = id;
     }
 
+    this.name = 'video';
+
     // Variables from RenderedTarget
+    this.isOriginal = true;
     this.dragging = false;
     this.dragOffsetX = 0;
     this.dragOffsetY = 0;
@@ -31,31 +100,57 @@ class VideoTarget extends Target {
       color: 0,
       whirl: 0,
       brightness: 0,
-      ghost: 0
+      ghost: 0,
+      pixelate: 0,
+      mosaic: 0,
+      fisheye: 0,
+      crystallize: 0,
+      kaleidoscope: 0,
+      saturation: 0,
+      contrast: 0
+    };
+
+    // Speech or thought bubble, shown by the host while the text is not empty
+    this.bubble = {
+      type: 'say',
+      text: ''
     };
 
     // Video specific state
+    this.cloneOf = null; // Id of the original video target, for clones
     this.tapped = false;
     this.fps = 30.0;
     this.frames = 0;
+    this.width = runtime.constructor.STAGE_WIDTH;   // Native dimensions of the clip
+    this.height = runtime.constructor.STAGE_HEIGHT;
     this.currentFrame = 0;
     this.playbackRate = 100;
     this.markers = [];
     this.trimStart = 0;
     this.trimEnd = 0;
+    this.loopMode = VideoTarget.LOOP_MODES.OFF;
+    this.audioTrack = null; // Sound recorded with the clip, played in sync with the video. See setAudioTrack
 
     this.runtimeVideoState = runtime.videoState;
 
     if (!!videoInfo) {
+      this.name = videoInfo.name || this.name;
+      this.width = videoInfo.width || this.width;
+      this.height = videoInfo.height || this.height;
       this.fps = videoInfo.fps;
       this.frames = videoInfo.frames;
-      this.markers = videoInfo.markers || [];
+      this.markers = Markers.normalize(videoInfo.markers);
       this.trimStart = videoInfo.trimStart || 0;
       this.trimEnd = videoInfo.trimEnd || this.frames - 1;
       this.currentFrame = this.trimStart
+      this.setAudioTrack(videoInfo.audioTrack);
     }
   }
 
+  getName () {
+    return this.name;
+  }
+
   // Functions from RenderedTarget
   setXY (x, y, force) {
     if (this.dragging && !force) return;
@@ -81,56 +176,122 @@ class VideoTarget extends Target {
     this.runtime.requestRedraw();
   }
 
+  // Layering is shared with sprites, in the runtime's draw order
+
   goToFront () {
-    var order = this.runtimeVideoState.order;
-    var index = order.indexOf(this.id);
-    if (index === -1) {
-      log.warn(`Unable to find video target id ${this.id} in drawing order array`);
-      return;
-    }
-    order.splice(index, 1);
-    order.push(this.id);
+    this.runtime.drawOrder.goToFront(this);
   }
 
   goToBack () {
-    var order = this.runtimeVideoState.order;
-    var index = order.indexOf(this.id);
-    if (index === -1) {
-      log.warn(`Unable to find video target id ${this.id} in drawing order array`);
-      return;
-    }
-    order.splice(index, 1);
-    order.unshift(this.id);
+    this.runtime.drawOrder.goToBack(this);
   }
 
   goForwardLayers (nLayers) {
-    var order = this.runtimeVideoState.order;
-    var index = order.indexOf(this.id);
-    if (index === -1) {
-      log.warn(`Unable to find video target id ${this.id} in drawing order array`);
-      return;
-    }
-    order.splice(index, 1);
-    index += nLayers;
-    if (index >= order.length) {
-      index = order.length;
-    }
-    order.splice(index, 0, this.id);
+    this.runtime.drawOrder.goForwardLayers(this, nLayers);
   }
 
   goBackwardLayers (nLayers) {
-    var order = this.runtimeVideoState.order;
-    var index = order.indexOf(this.id);
-    if (index === -1) {
-      log.warn(`Unable to find video target id ${this.id} in drawing order array`);
-      return;
-    }
-    order.splice(index, 1);
-    index -= nLayers;
-    if (index < 0) {
-      index = 0;
+    this.runtime.drawOrder.goForwardLayers(this, -nLayers);
+  }
+
+  goBehindOther (other) {
+    this.runtime.drawOrder.goBehind(this, other);
+  }
+
+  // Geometry
+  //
+  // Video targets are drawn by the host rather than a renderer, so collisions
+  // are computed from the clip's rotated rectangle on the stage
+
+  getCorners () {
+    var scale = this.size / 100;
+    var halfWidth = (this.width * scale) / 2;
+    var halfHeight = (this.height * scale) / 2;
+    // A direction of 90 is upright, larger directions rotate clockwise
+    var radians = MathUtil.degToRad(90 - this.direction);
+    var cos = Math.cos(radians);
+    var sin = Math.sin(radians);
+    return [
+      [-halfWidth, -halfHeight],
+      [halfWidth, -halfHeight],
+      [halfWidth, halfHeight],
+      [-halfWidth, halfHeight]
+    ].map(corner => ({
+      x: this.x + (corner[0] * cos) - (corner[1] * sin),
+      y: this.y + (corner[0] * sin) + (corner[1] * cos)
+    }));
+  }
+
+  getBounds () {
+    var corners = this.getCorners();
+    var xs = corners.map(corner => corner.x);
+    var ys = corners.map(corner => corner.y);
+    return {
+      left: Math.min.apply(null, xs),
+      right: Math.max.apply(null, xs),
+      bottom: Math.min.apply(null, ys),
+      top: Math.max.apply(null, ys)
+    };
+  }
+
+  isTouchingEdge () {
+    var stageWidth = this.runtime.constructor.STAGE_WIDTH;
+    var stageHeight = this.runtime.constructor.STAGE_HEIGHT;
+    var bounds = this.getBounds();
+    return bounds.left < -stageWidth / 2 ||
+      bounds.right > stageWidth / 2 ||
+      bounds.top > stageHeight / 2 ||
+      bounds.bottom < -stageHeight / 2;
+  }
+
+  containsPoint (x, y) {
+    if (!this.visible) return false;
+    // The point is inside the convex rectangle if it is on the same side of every edge
+    var corners = this.getCorners();
+    var sign = 0;
+    for (var i = 0; i < corners.length; i++) {
+      var a = corners[i];
+      var b = corners[(i + 1) % corners.length];
+      var cross = ((b.x - a.x) * (y - a.y)) - ((b.y - a.y) * (x - a.x));
+      if (cross === 0) continue;
+      if (sign === 0) sign = Math.sign(cross);
+      else if (Math.sign(cross) !== sign) return false;
     }
-    order.splice(index, 0, this.id);
+    return true;
+  }
+
+  isTouchingVideo (other) {
+    if (other === this || !this.visible || !other.visible) return false;
+    return polygonsIntersect(this.getCorners(), other.getCorners());
+  }
+
+  // Touching any of the instances (original or clones) of the given original video target
+  isTouchingVideoOrClones (originalId) {
+    return this.runtime.targets.some(t => (
+      t instanceof VideoTarget &&
+      (t.id === originalId || t.cloneOf === originalId) &&
+      this.isTouchingVideo(t)
+    ));
+  }
+
+  distanceTo (other) {
+    var dx = this.x - other.x;
+    var dy = this.y - other.y;
+    return Math.sqrt((dx * dx) + (dy * dy));
+  }
+
+  // Bubbles
+
+  setSay (type, text) {
+    this.bubble = {
+      type: type === 'think' ? 'think' : 'say',
+      text: text || ''
+    };
+    this.runtime.requestRedraw();
+  }
+
+  onStopAll () {
+    this.setSay('say', '');
   }
 
   startDrag() {
@@ -144,6 +305,10 @@ class VideoTarget extends Target {
 
   setEffect(effectName, value) {
     if (!this.effects.hasOwnProperty(effectName)) return;
+    var range = VideoTarget.EFFECT_RANGES[effectName];
+    if (range) {
+      value = MathUtil.clamp(value, range[0], range[1]);
+    }
     this.effects[effectName] = value;
     this.runtime.requestRedraw();
   }
@@ -165,20 +330,74 @@ class VideoTarget extends Target {
     this.runtime.requestRedraw();
   }
 
+  setLoopMode (loopMode) {
+    var modes = VideoTarget.LOOP_MODES;
+    if (loopMode !== modes.OFF && loopMode !== modes.LOOP && loopMode !== modes.PING_PONG) return;
+    this.loopMode = loopMode;
+  }
+
   setCurrentFrame (frame) {
     this.currentFrame = MathUtil.clamp(frame, this.trimStart, this.trimEnd);
     this.runtime.requestRedraw();
   }
 
+  // Trim the clip to the frames from start to end, clamped to the clip. Markers, the
+  // current frame and any playback in progress are kept inside the new trim
+  setTrim (start, end) {
+    var lastFrame = Math.max(this.frames - 1, 0);
+    this.trimStart = MathUtil.clamp(start, 0, lastFrame);
+    this.trimEnd = MathUtil.clamp(end, this.trimStart, lastFrame);
+    Markers.clampToTrim(this);
+
+    var playingVideo = this.runtimeVideoState.playing[this.id];
+    if (playingVideo) {
+      if (Math.max(playingVideo.start, playingVideo.end) < this.trimStart ||
+          Math.min(playingVideo.start, playingVideo.end) > this.trimEnd) {
+        // The range being played was trimmed away, so blocks waiting on it carry on
+        delete this.runtimeVideoState.playing[this.id];
+      } else {
+        playingVideo.start = MathUtil.clamp(playingVideo.start, this.trimStart, this.trimEnd);
+        playingVideo.end = MathUtil.clamp(playingVideo.end, this.trimStart, this.trimEnd);
+      }
+    }
+    this.setCurrentFrame(this.currentFrame);
+  }
+
+  // The audio track is the host's audio clip with the given id. Its samples line up
+  // with the frames from the start of the clip, so the video's trim trims it too.
+  // Pass null to remove the track.
+  setAudioTrack (audioTrack) {
+    if (!audioTrack || !(audioTrack.sampleRate > 0)) {
+      this.audioTrack = null;
+      return;
+    }
+    this.audioTrack = {
+      id: audioTrack.id,
+      totalSamples: audioTrack.totalSamples || 0,
+      sampleRate: audioTrack.sampleRate
+    };
+  }
+
+  // Sample of the audio track which plays along with the given frame
+  frameToSample (frame) {
+    if (!this.audioTrack || !(this.fps > 0)) return 0;
+    var sample = (frame / this.fps) * this.audioTrack.sampleRate;
+    return MathUtil.clamp(sample, 0, Math.max(this.audioTrack.totalSamples - 1, 0));
+  }
+
   toJSON () {
     return {
       id: this.id,
+      name: this.name,
+      isOriginal: this.isOriginal,
+      cloneOf: this.cloneOf,
       x: this.x,
       y: this.y,
       size: this.size,
       direction: this.direction,
       visible: this.visible,
       effects: this.effects,
+      bubble: this.bubble,
       blocks: {
         _blocks: this.blocks._blocks,
         _scripts: this.blocks._scripts,
@@ -188,12 +407,73 @@ class VideoTarget extends Target {
 
       fps: this.fps,
       frames: this.frames,
+      width: this.width,
+      height: this.height,
       currentFrame: this.currentFrame,
       playbackRate: this.playbackRate,
       markers: this.markers,
       trimStart: this.trimStart,
-      trimEnd: this.trimEnd
+      trimEnd: this.trimEnd,
+      loopMode: this.loopMode,
+      audioTrack: this.audioTrack
+    }
+  }
+
+  makeClone () {
+    if (!this.runtime.clonesAvailable()) {
+      return null; // Hit max clone limit
     }
+    this.runtime.changeCloneCounter(1);
+
+    var newClone = new VideoTarget(this.runtime);
+    newClone.isOriginal = false;
+    newClone.cloneOf = this.isOriginal ? this.id : this.cloneOf;
+
+    // Clones share their scripts with the original, like sprite clones do
+    newClone.blocks = this.blocks;
+
+    newClone.x = this.x;
+    newClone.y = this.y;
+    newClone.direction = this.direction;
+    newClone.visible = this.visible;
+    newClone.size = this.size;
+    newClone.effects = JSON.parse(JSON.stringify(this.effects));
+    newClone.variables = JSON.parse(JSON.stringify(this.variables));
+    newClone.lists = JSON.parse(JSON.stringify(this.lists));
+
+    // Video specific state. Clones start out paused on the current frame.
+    newClone.name = this.name;
+    newClone.fps = this.fps;
+    newClone.frames = this.frames;
+    newClone.width = this.width;
+    newClone.height = this.height;
+    newClone.currentFrame = this.currentFrame;
+    newClone.playbackRate = this.playbackRate;
+    newClone.markers = JSON.parse(JSON.stringify(this.markers));
+    newClone.trimStart = this.trimStart;
+    newClone.trimEnd = this.trimEnd;
+    newClone.loopMode = this.loopMode;
+    newClone.audioTrack = JSON.parse(JSON.stringify(this.audioTrack));
+
+    // Place behind the current target
+    newClone.goBehindOther(this);
+
+    var original = this.isOriginal ? this : this.runtime.getTargetById(this.cloneOf);
+    this.runtime.fireTargetWasCreated(newClone, original);
+    this.runtime.startHats('control_start_as_clone', null, newClone);
+    return newClone;
+  }
+
+  dispose () {
+    super.dispose();
+    if (!this.isOriginal) {
+      this.runtime.changeCloneCounter(-1);
+      this.runtime.stopForTarget(this);
+      this.runtime.fireTargetWasRemoved(this);
+    }
+    delete this.runtimeVideoState.playing[this.id];
+    this.runtime.drawOrder.remove(this);
+    this.runtime.requestRedraw();
   }
 
   duplicate () {
@@ -207,16 +487,21 @@ class VideoTarget extends Target {
     newTarget.direction = this.direction;
     newTarget.visible = this.visible;
     newTarget.size = this.size;
-    newTarget.effects = JSON.parse(JSON.stringify(this.effects))
+    newTarget.effects = JSON.parse(JSON.stringify(this.effects));
 
     // Video specific state
+    newTarget.name = this.name;
     newTarget.fps = this.fps;
     newTarget.frames = this.frames;
+    newTarget.width = this.width;
+    newTarget.height = this.height;
     newTarget.currentFrame = this.currentFrame;
     newTarget.playbackRate = this.playbackRate;
-    newTarget.markers = this.markers,
-    newTarget.trimStart = this.trimStart,
-    newTarget.trimEnd = this.trimEnd
+    newTarget.markers = JSON.parse(JSON.stringify(this.markers));
+    newTarget.trimStart = this.trimStart;
+    newTarget.trimEnd = this.trimEnd;
+    newTarget.loopMode = this.loopMode;
+    newTarget.audioTrack = JSON.parse(JSON.stringify(this.audioTrack));
 
     newTarget.runtimeVideoState = this.runtime.videoState;
 
@@ -0,0 +1,189 @@
+const Timer = require('./timer');
+
+/**
+ * @fileoverview
+ * A clock shared by everything in a runtime that measures project time: the
+ * project timer, block timers (glides, waits, timed bubbles) and the sequencer.
+ * By default it follows the wall clock. Switching it to virtual time freezes it
+ * until it is advanced explicitly, which lets the VM be stepped deterministically
+ * (see `Runtime.stepFrames`). Pausing it freezes time and its timeouts in either
+ * mode (see `Runtime.pause`).
+ */
+
+class TimeSource {
+    constructor () {
+        /**
+         * Current virtual time in ms, or null when following the wall clock.
+         * @type {?number}
+         */
+        this._virtualTime = null;
+
+        /**
+         * How far this clock lags behind the wall clock, in ms, when following it.
+         * Grows while paused, so time carries on from where it was paused.
+         * @type {number}
+         */
+        this._offset = 0;
+
+        /**
+         * The time this clock was paused at, in ms, or null when it isn't paused.
+         * @type {?number}
+         */
+        this._pausedAt = null;
+
+        /**
+         * Timeouts waiting for time to reach them, ordered by due time. On the
+         * wall clock each one also has the handle of the real timer running it.
+         * @type {Array.<{at: number, callback: Function, handle: *}>}
+         */
+        this._timeouts = [];
+    }
+
+    /**
+     * @return {boolean} True if time only moves when `advance` is called.
+     */
+    get isVirtual () {
+        return this._virtualTime !== null;
+    }
+
+    /**
+     * @return {boolean} True if time is frozen until `resume` is called.
+     */
+    get isPaused () {
+        return this._pausedAt !== null;
+    }
+
+    /**
+     * Return the current time in ms. Has the same interface as `Timer.nowObj`,
+     * so it can be handed to a `Timer`.
+     * @return {number} The current time in ms.
+     */
+    now () {
+        if (this.isPaused) return this._pausedAt;
+        if (this.isVirtual) return this._virtualTime;
+        return Timer.nowObj.now() - this._offset;
+    }
+
+    /**
+     * Stop following the wall clock. Virtual time starts at the current time,
+     * so timers already running carry on from where they were.
+     */
+    useVirtualTime () {
+        if (this.isVirtual) return;
+        this._virtualTime = this.now();
+        this._timeouts.forEach(timeout => this._unschedule(timeout));
+    }
+
+    /**
+     * Go back to following the wall clock, carrying on from the current virtual
+     * time. Pending virtual timeouts are handed over to real timers for whatever
+     * time they had left.
+     */
+    useRealTime () {
+        if (!this.isVirtual) return;
+        this._offset = Timer.nowObj.now() - this.now();
+        this._virtualTime = null;
+        if (this.isPaused) return;
+        this._timeouts.forEach(timeout => this._schedule(timeout));
+    }
+
+    /**
+     * Freeze time, holding every pending timeout until `resume` is called.
+     */
+    pause () {
+        if (this.isPaused) return;
+        this._pausedAt = this.now();
+        this._timeouts.forEach(timeout => this._unschedule(timeout));
+    }
+
+    /**
+     * Let time move again from where it was paused. Pending timeouts fire after
+     * whatever time they had left when the clock was paused.
+     */
+    resume () {
+        if (!this.isPaused) return;
+        const pausedAt = this._pausedAt;
+        this._pausedAt = null;
+        if (this.isVirtual) {
+            this._virtualTime = pausedAt;
+            return;
+        }
+        this._offset = Timer.nowObj.now() - pausedAt;
+        this._timeouts.forEach(timeout => this._schedule(timeout));
+    }
+
+    /**
+     * Move virtual time forward, running every timeout that falls due on the way
+     * in the order they are due. Does nothing while paused.
+     * @param {number} ms How far to move time forward, in ms.
+     */
+    advance (ms) {
+        if (!this.isVirtual || this.isPaused) return;
+        const end = this._virtualTime + Math.max(0, ms);
+        while (this._timeouts.length > 0 && this._timeouts[0].at <= end) {
+            const timeout = this._timeouts.shift();
+            this._virtualTime = Math.max(this._virtualTime, timeout.at);
+            timeout.callback();
+        }
+        this._virtualTime = end;
+    }
+
+    /**
+     * Call a function after a delay measured on this clock.
+     * @param {Function} callback The function to call.
+     * @param {number} delay Delay in ms.
+     * @return {*} A handle to pass to `clearTimeout`.
+     */
+    setTimeout (callback, delay) {
+        const timeout = {
+            at: this.now() + Math.max(0, delay || 0),
+            callback,
+            handle: null
+        };
+        // Keep timeouts due at the same time in the order they were set.
+        let index = this._timeouts.findIndex(other => other.at > timeout.at);
+        if (index === -1) index = this._timeouts.length;
+        this._timeouts.splice(index, 0, timeout);
+        if (!this.isVirtual && !this.isPaused) this._schedule(timeout);
+        return timeout;
+    }
+
+    /**
+     * Cancel a timeout set with `setTimeout`.
+     * @param {*} handle The handle returned by `setTimeout`.
+     */
+    clearTimeout (handle) {
+        const index = this._timeouts.indexOf(handle);
+        if (index === -1) {
+            clearTimeout(handle);
+            return;
+        }
+        this._unschedule(handle);
+        this._timeouts.splice(index, 1);
+    }
+
+    /**
+     * Start a real timer for a pending timeout, for the time it has left.
+     * @param {{at: number, callback: Function, handle: *}} timeout The timeout.
+     * @private
+     */
+    _schedule (timeout) {
+        timeout.handle = setTimeout(() => {
+            this._timeouts.splice(this._timeouts.indexOf(timeout), 1);
+            timeout.callback();
+        }, Math.max(0, timeout.at - this.now()));
+    }
+
+    /**
+     * Stop the real timer of a pending timeout, if it has one.
+     * @param {{at: number, callback: Function, handle: *}} timeout The timeout.
+     * @private
+     */
+    _unschedule (timeout) {
+        if (timeout.handle === null) return;
+        clearTimeout(timeout.handle);
+        timeout.handle = null;
+    }
+}
+
+module.exports = TimeSource;
@@ -13,12 +13,22 @@
  */
 
 class Timer {
-    constructor () {
+    /**
+     * @param {{now: Function}=} nowObj Optional source of the current time, such
+     * as a runtime's `timeSource`. Defaults to `Timer.nowObj`.
+     */
+    constructor (nowObj) {
         /**
          * Used to store the start time of a timer action.
          * Updated when calling `timer.start`.
          */
         this.startTime = 0;
+
+        /**
+         * Source of the current time for this timer, or null to use `Timer.nowObj`.
+         * @type {?{now: Function}}
+         */
+        this._nowObj = nowObj || null;
     }
 
     /**
@@ -59,7 +69,7 @@ class Timer {
      * @returns {number} ms elapsed since 1 January 1970 00:00:00 UTC.
      */
     time () {
-        return Timer.nowObj.now();
+        return this._now();
     }
 
     /**
@@ -70,7 +80,7 @@ class Timer {
      * @returns {number} ms-scale accurate time relative to other relative times.
      */
     relativeTime () {
-        return Timer.nowObj.now();
+        return this._now();
     }
 
     /**
@@ -78,11 +88,19 @@ class Timer {
      * at the most accurate precision possible.
      */
     start () {
-        this.startTime = Timer.nowObj.now();
+        this.startTime = this._now();
     }
 
     timeElapsed () {
-        return Timer.nowObj.now() - this.startTime;
+        return this._now() - this.startTime;
+    }
+
+    /**
+     * @return {number} The current time according to this timer's time source.
+     * @private
+     */
+    _now () {
+        return (this._nowObj || Timer.nowObj).now();
     }
 }
 
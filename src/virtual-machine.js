@@ -22,10 +22,17 @@ require('canvas-toBlob');
 
 const VideoTarget = require('./steina/video-target.js');
 const AudioTarget = require('./steina/audio-target.js');
+const Markers = require('./steina/markers.js');
+const Mixer = require('./steina/mixer.js');
+const DrawOrder = require('./steina/draw-order.js');
+const History = require('./steina/history.js');
 const Clone = require('./util/clone.js');
 
 const RESERVED_NAMES = ['_mouse_', '_stage_', '_edge_', '_myself_', '_random_'];
 
+// Blockly events which edit blocks, and so can be undone
+const UNDOABLE_BLOCK_EVENTS = ['create', 'change', 'move', 'delete'];
+
 const CORE_EXTENSIONS = [
     // 'motion',
     // 'looks',
@@ -87,6 +94,27 @@ class VirtualMachine extends EventEmitter {
         this.runtime.on(Runtime.PROJECT_RUN_STOP, () => {
             this.emit(Runtime.PROJECT_RUN_STOP);
         });
+        this.runtime.on(Runtime.RUNTIME_PAUSED, () => {
+            this.emit(Runtime.RUNTIME_PAUSED);
+        });
+        this.runtime.on(Runtime.RUNTIME_RESUMED, () => {
+            this.emit(Runtime.RUNTIME_RESUMED);
+        });
+        this.runtime.on(Runtime.VIDEO_TARGETS_CHANGED, changes => {
+            this.emit(Runtime.VIDEO_TARGETS_CHANGED, changes);
+        });
+        this.runtime.on(Runtime.DRAW_ORDER_CHANGED, order => {
+            this.emit(Runtime.DRAW_ORDER_CHANGED, order);
+        });
+        this.runtime.on(Runtime.AUDIO_TARGETS_CHANGED, changes => {
+            this.emit(Runtime.AUDIO_TARGETS_CHANGED, changes);
+        });
+        this.runtime.on(Runtime.SOUNDS_STARTED, sounds => {
+            this.emit(Runtime.SOUNDS_STARTED, sounds);
+        });
+        this.runtime.on(Runtime.SOUNDS_STOPPED, soundIds => {
+            this.emit(Runtime.SOUNDS_STOPPED, soundIds);
+        });
         this.runtime.on(Runtime.VISUAL_REPORT, visualReport => {
             this.emit(Runtime.VISUAL_REPORT, visualReport);
         });
@@ -111,6 +139,19 @@ class VirtualMachine extends EventEmitter {
 
         this.extensionManager = new ExtensionManager(this.runtime);
 
+        /**
+         * Undo and redo stacks of edits to Steina targets and their blocks.
+         * @type {!History}
+         */
+        this.history = new History();
+
+        /**
+         * Whether there was anything to undo and redo, as last reported by the
+         * `canUndo` and `canRedo` events.
+         * @type {{canUndo: boolean, canRedo: boolean}}
+         */
+        this._historyState = {canUndo: false, canRedo: false};
+
         this.blockListener = this.blockListener.bind(this);
         this.flyoutBlockListener = this.flyoutBlockListener.bind(this);
         this.monitorBlockListener = this.monitorBlockListener.bind(this);
@@ -156,15 +197,81 @@ class VirtualMachine extends EventEmitter {
         this.runtime.stopAll();
     }
 
+    /**
+     * Pause the VM, e.g. while the app is in the background. Unlike `stopAll`,
+     * running scripts, timers and playing videos and sounds are all kept, frozen
+     * where they are, until `resume`.
+     */
+    pause () {
+        this.runtime.pause();
+    }
+
+    /**
+     * Resume the VM from where `pause` left it.
+     */
+    resume () {
+        this.runtime.resume();
+    }
+
     /**
      * Clear out current running project data.
      */
     clear () {
         this.runtime.dispose();
         this.editingTarget = null;
+        this.history.clear();
+        this._emitHistoryState();
         this.emitTargetsUpdate();
     }
 
+    /**
+     * Undo the most recent edit to a Steina target or its blocks.
+     * @return {boolean} True if an edit was undone.
+     */
+    undo () {
+        const undone = this.history.undo();
+        this._emitHistoryState();
+        return undone;
+    }
+
+    /**
+     * Redo the most recently undone edit.
+     * @return {boolean} True if an edit was redone.
+     */
+    redo () {
+        const redone = this.history.redo();
+        this._emitHistoryState();
+        return redone;
+    }
+
+    /**
+     * Record an edit in the undo history.
+     * @param {HistoryCommand} command The command reverting and re-applying the edit.
+     * @private
+     */
+    _recordHistory (command) {
+        this.history.record(command);
+        this._emitHistoryState();
+    }
+
+    /**
+     * Emit `canUndo` and `canRedo` with whether there is an edit to undo or
+     * redo, whenever that changes.
+     * @private
+     */
+    _emitHistoryState () {
+        const canUndo = this.history.canUndo();
+        const canRedo = this.history.canRedo();
+        if (canUndo !== this._historyState.canUndo) {
+            this._historyState.canUndo = canUndo;
+            this.emit('canUndo', canUndo);
+        }
+        if (canRedo !== this._historyState.canRedo) {
+            this._historyState.canRedo = canRedo;
+            this.emit('canRedo', canRedo);
+        }
+    }
+
     /**
      * Get data for playground. Data comes back in an emitted event.
      */
@@ -326,8 +433,11 @@ class VirtualMachine extends EventEmitter {
             return Promise.reject('Unable to verify Scratch Project version.');
         };
         return deserializePromise()
-            .then(({targets, extensions}) =>
-                this.installTargets(targets, extensions, true));
+            .then(({targets, extensions, mixer}) =>
+                this.installTargets(targets, extensions, true).then(() => {
+                    // Installing a whole project resets the mixer, so apply its settings afterwards
+                    if (mixer) runtime.mixer.setPolyphony(mixer.maxVoices, mixer.voiceStealing);
+                }));
     }
 
     /**
@@ -362,10 +472,25 @@ class VirtualMachine extends EventEmitter {
         return Promise.all(extensionPromises).then(() => {
             targets.forEach(target => {
                 this.runtime.targets.push(target);
+                // Steina targets are drawn by the host rather than the renderer
+                if (target instanceof VideoTarget || target instanceof AudioTarget) return;
                 (/** @type RenderedTarget */ target).updateAllDrawableProperties();
                 // Ensure unique sprite name
                 if (target.isSprite()) this.renameSprite(target.id, target.getName());
             });
+            // Layer sprites and video targets in front of the existing ones, in their saved order
+            targets
+                .filter(DrawOrder.isLayered)
+                .map((target, index) => ({target, index}))
+                .sort((a, b) => {
+                    const aLayer = typeof a.target.layerOrder === 'number' ? a.target.layerOrder : a.index;
+                    const bLayer = typeof b.target.layerOrder === 'number' ? b.target.layerOrder : b.index;
+                    return (aLayer - bLayer) || (a.index - b.index);
+                })
+                .forEach(({target}) => {
+                    delete target.layerOrder;
+                    this.runtime.drawOrder.goToFront(target);
+                });
             // Select the first target for editing, e.g., the first sprite.
             if (wholeProject && (targets.length > 1)) {
                 this.editingTarget = targets[1];
@@ -858,8 +983,142 @@ class VirtualMachine extends EventEmitter {
      */
     blockListener (e) {
         if (this.editingTarget) {
-            this.editingTarget.blocks.blocklyListen(e, this.runtime);
+            const target = this.editingTarget;
+            const undoable = this._isUndoableBlockEvent(e);
+            const before = undoable ? this._getBlocksState(target, this._getEditedBlockIds(target, e)) : null;
+            target.blocks.blocklyListen(e, this.runtime);
+            if (undoable) this._recordBlocksEdit(target, before, e);
+        }
+    }
+
+    /**
+     * Check whether a Blockly event is a user's edit to blocks which can be undone.
+     * Events which only change the UI, such as selecting or dragging blocks, aren't
+     * recorded; neither are events from elsewhere (`isLocal` false) or which
+     * Blockly doesn't undo itself (`recordUndo` false), e.g. from loading the workspace.
+     * @param {!Blockly.Event} e Any Blockly event.
+     * @return {boolean} True if the event should be recorded in the history.
+     * @private
+     */
+    _isUndoableBlockEvent (e) {
+        return !!e && UNDOABLE_BLOCK_EVENTS.indexOf(e.type) !== -1 &&
+            typeof e.blockId === 'string' && e.isLocal !== false && e.recordUndo !== false;
+    }
+
+    /**
+     * Find the blocks a Blockly event may change: the block itself, its old and
+     * new parents, and for creates and deletes the whole stack under it.
+     * @param {!Target} target The target whose blocks are edited.
+     * @param {!Blockly.Event} e A block event.
+     * @return {Array.<string>} Ids of the blocks.
+     * @private
+     */
+    _getEditedBlockIds (target, e) {
+        const ids = [e.blockId, e.oldParentId, e.newParentId].filter(id => typeof id === 'string');
+        if (e.type === 'create' || e.type === 'delete') {
+            const stack = [e.blockId];
+            while (stack.length > 0) {
+                const block = target.blocks.getBlock(stack.pop());
+                if (!block) continue;
+                if (ids.indexOf(block.id) === -1) ids.push(block.id);
+                if (block.next) stack.push(block.next);
+                Object.keys(block.inputs).forEach(name => {
+                    const input = block.inputs[name];
+                    if (input.block) stack.push(input.block);
+                    if (input.shadow && input.shadow !== input.block) stack.push(input.shadow);
+                });
+            }
         }
+        return ids;
+    }
+
+    /**
+     * @param {!Target} target A target.
+     * @param {Array.<string>} blockIds Ids of the blocks to copy.
+     * @return {object} Copies of the blocks, by id, with null for missing blocks,
+     * and the target's list of scripts.
+     * @private
+     */
+    _getBlocksState (target, blockIds) {
+        const blocks = {};
+        blockIds.forEach(id => {
+            const block = target.blocks.getBlock(id);
+            blocks[id] = block ? Clone.simple(block) : null;
+        });
+        return {blocks, scripts: target.blocks.getScripts().slice()};
+    }
+
+    /**
+     * Restore blocks of a target, and show them if the target is being edited.
+     * Scripts containing the blocks are stopped first. The blocks are restored
+     * in place rather than through `Blocks.deleteBlock`, which would also delete
+     * the stacks under them, including blocks the edit didn't touch.
+     * @param {!Target} target The target.
+     * @param {object} state The blocks and scripts, from `_getBlocksState`.
+     * @private
+     */
+    _setBlocksState (target, state) {
+        const blocks = target.blocks;
+        const topBlockIds = [];
+        Object.keys(state.blocks).forEach(id => {
+            const topBlockId = blocks.getTopLevelScript(id);
+            if (topBlockId !== null && topBlockIds.indexOf(topBlockId) === -1) topBlockIds.push(topBlockId);
+        });
+        this.runtime.stopForScripts(blocks, topBlockIds);
+
+        Object.keys(state.blocks).forEach(id => {
+            if (state.blocks[id]) {
+                blocks._blocks[id] = Clone.simple(state.blocks[id]);
+            } else {
+                delete blocks._blocks[id];
+            }
+        });
+        blocks._scripts = state.scripts.slice();
+        blocks.resetCache();
+
+        // Forget glows of scripts which no longer exist
+        topBlockIds.forEach(topBlockId => {
+            if (blocks.getScripts().indexOf(topBlockId) === -1) this.runtime.quietGlow(topBlockId);
+        });
+        if (target === this.editingTarget) this.emitWorkspaceUpdate();
+    }
+
+    /**
+     * Record an edit to the blocks of a target, if anything changed. Blockly
+     * fires several events for a single edit, e.g. when a stack is dropped into
+     * another; events of the same group are undone together.
+     * @param {!Target} target The target whose blocks were edited.
+     * @param {object} before The edited blocks before the event, from `_getBlocksState`.
+     * @param {!Blockly.Event} e The event which edited the blocks.
+     * @private
+     */
+    _recordBlocksEdit (target, before, e) {
+        // Blocks created by the event didn't exist before it
+        const ids = this._getEditedBlockIds(target, e);
+        ids.forEach(id => {
+            if (!before.blocks.hasOwnProperty(id)) before.blocks[id] = null;
+        });
+        const after = this._getBlocksState(target, Object.keys(before.blocks));
+        if (JSON.stringify(after) === JSON.stringify(before)) return;
+
+        const last = this.history.peek();
+        if (e.group && last && last.blocksGroup === e.group && last.target === target) {
+            // Keep the state from before the first event of the group
+            Object.keys(before.blocks).forEach(id => {
+                if (!last.before.blocks.hasOwnProperty(id)) last.before.blocks[id] = before.blocks[id];
+            });
+            last.after = this._getBlocksState(target, Object.keys(last.before.blocks));
+            return;
+        }
+        const command = {
+            target,
+            blocksGroup: e.group || null,
+            before,
+            after,
+            undo: () => this._setBlocksState(target, command.before),
+            redo: () => this._setBlocksState(target, command.after)
+        };
+        this._recordHistory(command);
     }
 
     /**
@@ -961,6 +1220,8 @@ class VirtualMachine extends EventEmitter {
             // Currently editing target id.
             editingTarget: this.editingTarget ? this.editingTarget.id : null
         });
+        // Report edits to video and audio targets even while paused, when no steps run
+        this.runtime.changeTracker.emitChanges();
     }
 
     /**
@@ -1073,7 +1334,9 @@ class VirtualMachine extends EventEmitter {
 
     createVideoTarget (id, videoInfo) {
         var target = new VideoTarget(this.runtime, id, videoInfo);
+        target.name = this._unusedVideoTargetName(target.name);
         this.insertVideoTarget(target);
+        this._recordTargetCreation(target);
     }
 
     inflateVideoTarget (id, targetObj) {
@@ -1085,82 +1348,403 @@ class VirtualMachine extends EventEmitter {
                 target.blocks._scripts = Clone.simple(savedBlocks._scripts);
                 continue;
             }
+            if (key === 'effects') {
+                // Keep defaults for effects added since the target was saved
+                Object.assign(target.effects, targetObj[key]);
+                continue;
+            }
             target[key] = targetObj[key];
         }
         if (!('trimEnd' in targetObj) || (targetObj.trimEnd == 0)) {
             target.trimEnd = target.frames - 1;
         }
+        target.markers = Markers.normalize(target.markers);
         this.insertVideoTarget(target, false);
     }
 
     insertVideoTarget (target, addToOrder = true) {
         this.runtime.targets.push(target);
         if (addToOrder) {
-            this.runtime.videoState.order.push(target.id);
+            this.runtime.drawOrder.goToFront(target);
         }
         this.emitTargetsUpdate();
         this.emitWorkspaceUpdate();
         this.setEditingTarget(target.id);
     }
 
+    /**
+     * Update the trim and markers of a video target. Properties left out of the
+     * update are unchanged. Trim points must fall inside the clip, and markers in
+     * the update inside the new trim, while existing markers are clamped to it;
+     * playback in progress is clamped to the new trim, or stopped if the range
+     * being played was trimmed away.
+     * @param {string} targetId Id of the video target.
+     * @param {object} videoInfo Any of `trimStart` and `trimEnd`, the first and last
+     * frames to play, and `markers`.
+     */
     updateVideoTargetInfo (targetId, videoInfo) {
         const target = this.runtime.getTargetById(targetId);
+        if (!(target instanceof VideoTarget)) {
+            throw new Error('No video target with the provided id.');
+        }
+        this._updateClipInfo(target, videoInfo);
+    }
 
-        if (target) {
-            target.markers = videoInfo.markers || target.markers;
-            target.trimStart = videoInfo.trimStart || target.trimStart;
-            target.trimEnd = videoInfo.trimEnd || target.trimEnd;
-            target.setCurrentFrame(target.currentFrame); // Clamp the current frame to the new trimmed bounds
+    /**
+     * Update the trim and markers of an audio target, like `updateVideoTargetInfo`.
+     * @param {string} targetId Id of the audio target.
+     * @param {object} audioInfo Any of `trimStart` and `trimEnd`, the first and last
+     * samples to play, and `markers`.
+     */
+    updateAudioTargetInfo (targetId, audioInfo) {
+        const target = this.runtime.getTargetById(targetId);
+        if (!(target instanceof AudioTarget)) {
+            throw new Error('No audio target with the provided id.');
+        }
+        this._updateClipInfo(target, audioInfo);
+    }
+
+    /**
+     * Validate and apply an update to the trim and markers of a video or audio target.
+     * @param {!Target} target The target.
+     * @param {object} info The trim points and markers to change.
+     * @private
+     */
+    _updateClipInfo (target, info) {
+        const trimPoint = name => {
+            const value = info[name];
+            if (value === null || typeof value === 'undefined') return target[name];
+            if (typeof value !== 'number' || !isFinite(value)) {
+                throw new Error(`Invalid ${name}: ${value}`);
+            }
+            return value;
+        };
+        const trimStart = trimPoint('trimStart');
+        const trimEnd = trimPoint('trimEnd');
+        // Audio trims end one past the last sample, like their default trim
+        const clipEnd = target instanceof VideoTarget ? Math.max(target.frames - 1, 0) : target.totalSamples;
+        if (trimStart < 0 || trimEnd > clipEnd) {
+            throw new Error(`Trim (${trimStart} to ${trimEnd}) is outside the clip (0 to ${clipEnd}).`);
+        }
+        if (trimStart > trimEnd) {
+            throw new Error(`trimStart (${trimStart}) is after trimEnd (${trimEnd}).`);
+        }
+        if (info.markers && !Array.isArray(info.markers)) {
+            throw new Error('Invalid markers: expected an array.');
+        }
+        const markers = info.markers ? Markers.normalize(info.markers) : null;
+        (markers || []).forEach(marker => {
+            if (marker.position < trimStart || marker.position > trimEnd) {
+                throw new Error(`Marker ${marker.name} (${marker.position}) is outside the trim ` +
+                    `(${trimStart} to ${trimEnd}).`);
+            }
+        });
+
+        this._editClip(target, () => {
+            if (markers) {
+                target.markers = markers;
+            }
+            target.setTrim(trimStart, trimEnd);
+        });
+        this.emitTargetsUpdate();
+    }
+
+    /**
+     * @param {!Target} target A video or audio target.
+     * @return {object} Copies of the target's trim and markers.
+     * @private
+     */
+    _getClipState (target) {
+        return {
+            trimStart: target.trimStart,
+            trimEnd: target.trimEnd,
+            markers: Clone.simple(target.markers)
+        };
+    }
+
+    /**
+     * Restore the trim and markers of a video or audio target.
+     * @param {!Target} target The target.
+     * @param {object} state The trim and markers, from `_getClipState`.
+     * @private
+     */
+    _setClipState (target, state) {
+        target.markers = Clone.simple(state.markers);
+        target.setTrim(state.trimStart, state.trimEnd);
+        this.emitTargetsUpdate();
+    }
+
+    /**
+     * Edit the trim or markers of a video or audio target, recording the edit
+     * in the undo history if anything changed.
+     * @param {!Target} target The target.
+     * @param {Function} edit Makes the edit.
+     * @return {*} What the edit returned.
+     * @private
+     */
+    _editClip (target, edit) {
+        const before = this._getClipState(target);
+        const result = edit();
+        const after = this._getClipState(target);
+        if (JSON.stringify(after) !== JSON.stringify(before)) {
+            this._recordHistory({
+                undo: () => this._setClipState(target, before),
+                redo: () => this._setClipState(target, after)
+            });
         }
+        return result;
+    }
+
+    /**
+     * Give a video target an audio track, played in sync with the video. The
+     * track is the clip of an audio target, which is left in place.
+     * @param {string} videoTargetId Id of the video target.
+     * @param {string} audioTargetId Id of the audio target with the clip to use.
+     */
+    attachAudioTrack (videoTargetId, audioTargetId) {
+        const videoTarget = this.runtime.getTargetById(videoTargetId);
+        const audioTarget = this.runtime.getTargetById(audioTargetId);
+        if (!(videoTarget instanceof VideoTarget) || !(audioTarget instanceof AudioTarget)) return;
+        videoTarget.setAudioTrack({
+            id: audioTarget.id,
+            totalSamples: audioTarget.totalSamples,
+            sampleRate: audioTarget.sampleRate
+        });
+        this.emitTargetsUpdate();
+    }
+
+    /**
+     * Remove the audio track of a video target.
+     * @param {string} videoTargetId Id of the video target.
+     */
+    detachAudioTrack (videoTargetId) {
+        const videoTarget = this.runtime.getTargetById(videoTargetId);
+        if (!(videoTarget instanceof VideoTarget)) return;
+        videoTarget.setAudioTrack(null);
+        this.emitTargetsUpdate();
     }
 
     deleteVideoOrAudioTarget (targetId) {
         const target = this.runtime.getTargetById(targetId);
 
         if (target) {
-            const targetIndexBeforeDelete = this.runtime.targets.map(t => t.id).indexOf(target.id);
-            this.runtime.requestRemoveMonitorByTargetId(targetId);
-            const currentEditingTarget = this.editingTarget;
+            const placement = this._getTargetPlacement(target);
+            this._removeVideoOrAudioTarget(target);
+            this._recordHistory({
+                undo: () => this._restoreVideoOrAudioTarget(target, placement),
+                redo: () => this._removeVideoOrAudioTarget(target)
+            });
+        } else {
+            throw new Error('No target with the provided id.');
+        }
 
-            this.runtime.stopForTarget(target);
-            this.runtime.disposeTarget(target);
+        return this.editingTarget.id;
+    }
 
-            if (target === currentEditingTarget) {
-                const nextTargetIndex = Math.min(this.runtime.targets.length - 1, targetIndexBeforeDelete);
-                if (this.runtime.targets.length > 0){
-                    this.setEditingTarget(this.runtime.targets[nextTargetIndex].id);
-                } else {
-                    this.editingTarget = null;
-                }
+    /**
+     * Remove a video or audio target and its clones from the project.
+     * @param {!Target} target The target to remove.
+     * @private
+     */
+    _removeVideoOrAudioTarget (target) {
+        const targetIndexBeforeDelete = this.runtime.targets.indexOf(target);
+        this.runtime.requestRemoveMonitorByTargetId(target.id);
+        const currentEditingTarget = this.editingTarget;
+
+        this.runtime.stopForTarget(target);
+        this.runtime.targets
+            .filter(t => t instanceof VideoTarget && t.cloneOf === target.id)
+            .forEach(clone => this.runtime.disposeTarget(clone));
+        this.runtime.disposeTarget(target);
+        this.runtime.mixer.removeTarget(target.id);
+
+        if (target === currentEditingTarget) {
+            const nextTargetIndex = Math.min(this.runtime.targets.length - 1, targetIndexBeforeDelete);
+            if (this.runtime.targets.length > 0){
+                this.setEditingTarget(this.runtime.targets[nextTargetIndex].id);
+            } else {
+                this.editingTarget = null;
             }
+        }
 
-            this.emitTargetsUpdate();
-        } else {
-            throw new Error('No target with the provided id.');
+        this.emitTargetsUpdate();
+    }
+
+    /**
+     * Find where a video or audio target sits in the project, so it can be put
+     * back there after being removed.
+     * @param {!Target} target The target.
+     * @return {object} The target's index in the targets, its layer in the
+     * draw order (-1 if it isn't drawn) and, for audio targets, its mixer channel.
+     * @private
+     */
+    _getTargetPlacement (target) {
+        return {
+            index: this.runtime.targets.indexOf(target),
+            layer: this.runtime.drawOrder.getLayer(target),
+            channel: target instanceof AudioTarget ? this.runtime.mixer.getChannelInfo(target) : null
+        };
+    }
+
+    /**
+     * Put a removed video or audio target back where it was, and edit it.
+     * @param {!Target} target The removed target.
+     * @param {object} placement Where the target was, from `_getTargetPlacement`.
+     * @private
+     */
+    _restoreVideoOrAudioTarget (target, placement) {
+        const targets = this.runtime.targets;
+        targets.splice(Math.min(placement.index, targets.length), 0, target);
+        if (placement.layer !== -1) {
+            this.runtime.drawOrder.setLayer(target, placement.layer);
         }
+        if (placement.channel) {
+            this.runtime.mixer.setMuted(target.id, placement.channel.muted);
+            this.runtime.mixer.setSoloed(target.id, placement.channel.soloed);
+            this.runtime.mixer.setDucking(target.id, placement.channel.ducking);
+        }
+        this.emitTargetsUpdate();
+        this.emitWorkspaceUpdate();
+        this.setEditingTarget(target.id);
+    }
 
-        return this.editingTarget.id;
+    /**
+     * Record the creation of a video or audio target, so it can be undone by
+     * removing the target again.
+     * @param {!Target} target The new target.
+     * @private
+     */
+    _recordTargetCreation (target) {
+        const placement = this._getTargetPlacement(target);
+        this._recordHistory({
+            undo: () => this._removeVideoOrAudioTarget(target),
+            redo: () => this._restoreVideoOrAudioTarget(target, placement)
+        });
     }
 
     duplicateVideoOrAudioTarget(id, newId) {
-        var target = vm.runtime.getTargetById(id);
+        var target = this.runtime.getTargetById(id);
         var newTarget = target.duplicate()
         newTarget.id = newId;
         if (newTarget instanceof VideoTarget) {
+            newTarget.name = this._unusedVideoTargetName(newTarget.name);
             this.insertVideoTarget(newTarget)
         }
         else {
             this.insertAudioTarget(newTarget)
         }
+        this._recordTargetCreation(newTarget);
+    }
+
+    /**
+     * Move a sprite or video target to another layer of the draw order.
+     * @param {string} targetId Id of the sprite or video target.
+     * @param {number} layer New position in the draw order, from 0 at the back.
+     */
+    reorderTarget (targetId, layer) {
+        const target = this.runtime.getTargetById(targetId);
+        if (!target) return;
+        const drawOrder = this.runtime.drawOrder;
+        const oldLayer = drawOrder.getLayer(target);
+        if (oldLayer === -1) return;
+        drawOrder.setLayer(target, layer);
+        const newLayer = drawOrder.getLayer(target);
+        this.emitTargetsUpdate();
+        if (newLayer === oldLayer) return;
+        this._recordHistory({
+            undo: () => this.reorderTarget(targetId, oldLayer),
+            redo: () => this.reorderTarget(targetId, newLayer)
+        });
+    }
+
+    /**
+     * Get the draw order of the sprites and video targets, including clones.
+     * The host draws video targets and the renderer's sprites in this order.
+     * @return {Array.<string>} Ids of the targets, from back to front.
+     */
+    getDrawOrder () {
+        return this.runtime.drawOrder.ids.slice();
+    }
+
+    /**
+     * Add a named marker to a video or audio target.
+     * @param {string} targetId Id of the video or audio target.
+     * @param {number} position Frame (video) or sample (audio) to place the marker at.
+     * @param {string=} name Optional name for the marker.
+     * @returns {?string} Id of the new marker, or null if there is no such target.
+     */
+    addMarker (targetId, position, name) {
+        const target = this.runtime.getTargetById(targetId);
+        if (!target || !target.markers) return null;
+        const marker = this._editClip(target, () => Markers.add(target, position, name));
+        this.emitTargetsUpdate();
+        return marker.id;
+    }
+
+    /**
+     * Rename a marker of a video or audio target.
+     * @param {string} targetId Id of the video or audio target.
+     * @param {string} markerId Id of the marker to rename.
+     * @param {string} newName New name for the marker.
+     */
+    renameMarker (targetId, markerId, newName) {
+        const target = this.runtime.getTargetById(targetId);
+        if (target && target.markers && this._editClip(target, () => Markers.rename(target, markerId, newName))) {
+            this.emitTargetsUpdate();
+        }
+    }
+
+    /**
+     * Move a marker of a video or audio target.
+     * @param {string} targetId Id of the video or audio target.
+     * @param {string} markerId Id of the marker to move.
+     * @param {number} newPosition Frame (video) or sample (audio) to move the marker to.
+     */
+    moveMarker (targetId, markerId, newPosition) {
+        const target = this.runtime.getTargetById(targetId);
+        if (target && target.markers && this._editClip(target, () => Markers.move(target, markerId, newPosition))) {
+            this.emitTargetsUpdate();
+        }
+    }
+
+    /**
+     * Delete a marker of a video or audio target. Blocks still referring to the
+     * marker fall back to the start or end of the clip.
+     * @param {string} targetId Id of the video or audio target.
+     * @param {string} markerId Id of the marker to delete.
+     */
+    deleteMarker (targetId, markerId) {
+        const target = this.runtime.getTargetById(targetId);
+        if (target && target.markers && this._editClip(target, () => Markers.delete(target, markerId))) {
+            this.emitTargetsUpdate();
+        }
+    }
+
+    /**
+     * Get a name for a video target which no other video target uses, so that
+     * video targets can be told apart in block menus.
+     * @param {string} name The requested name.
+     * @returns {string} The requested name, or a numbered variant of it.
+     */
+    _unusedVideoTargetName (name) {
+        const names = this.runtime.targets
+            .filter(t => t instanceof VideoTarget && t.isOriginal)
+            .map(t => t.getName());
+        return StringUtil.unusedName(name, names);
     }
 
     getVideoTargets () {
-        var order = this.runtime.videoState.order;
+        var drawOrder = this.runtime.drawOrder;
         return this.runtime.targets.filter(t => (t instanceof VideoTarget)).sort( (a, b) => {
-            return order.indexOf(a.id) - order.indexOf(b.id);
+            return drawOrder.getLayer(a) - drawOrder.getLayer(b);
         });
     }
 
+    getVideoTargetsRenderingInfo () {
+        // Listed in draw order, including clones and their speech bubbles
+        return this.getVideoTargets().map(t => t.toJSON());
+    }
+
     updateDrag(dragInfo) {
         if (!this._dragTarget) return;
         this._dragTarget.setXY(dragInfo.x, dragInfo.y, true);
@@ -1175,6 +1759,7 @@ class VirtualMachine extends EventEmitter {
     createAudioTarget (id, audioInfo) {
         var target = new AudioTarget(this.runtime, id, audioInfo);
         this.insertAudioTarget(target);
+        this._recordTargetCreation(target);
     }
 
     inflateAudioTarget (id, targetObj) {
@@ -1186,11 +1771,17 @@ class VirtualMachine extends EventEmitter {
                 target.blocks._scripts = Clone.simple(savedBlocks._scripts);
                 continue;
             }
+            if (key === 'effects') {
+                // Keep defaults for effects added since the target was saved
+                Object.assign(target.effects, targetObj[key]);
+                continue;
+            }
             target[key] = targetObj[key];
         }
         if (!('trimEnd' in targetObj) || (targetObj.trimEnd == 0)) {
             target.trimEnd = target.totalSamples;
         }
+        target.markers = Markers.normalize(target.markers);
         this.insertAudioTarget(target);
     }
 
@@ -1210,9 +1801,72 @@ class VirtualMachine extends EventEmitter {
         var info = {}
         targets.forEach(t => {
             info[t.id]= t.toJSON();
+            info[t.id].mixer = this.runtime.mixer.getChannelInfo(t);
         })
         return info
     }
+
+    /**
+     * Set the master volume applied on top of every audio target's volume.
+     * @param {number} volume The master volume in percent, from 0 to 100.
+     */
+    setMasterVolume (volume) {
+        this.runtime.mixer.setMasterVolume(volume);
+    }
+
+    /**
+     * Mute or unmute an audio target.
+     * @param {string} targetId Id of the audio target.
+     * @param {boolean} muted Whether the target should be muted.
+     */
+    setAudioTargetMuted (targetId, muted) {
+        this.runtime.mixer.setMuted(targetId, muted);
+    }
+
+    /**
+     * Solo an audio target. While any target is soloed, only soloed targets are heard.
+     * @param {string} targetId Id of the audio target.
+     * @param {boolean} soloed Whether the target should be soloed.
+     */
+    setAudioTargetSoloed (targetId, soloed) {
+        this.runtime.mixer.setSoloed(targetId, soloed);
+    }
+
+    /**
+     * Set how much an audio target lowers the other audio targets while it plays.
+     * @param {string} targetId Id of the audio target.
+     * @param {number} ducking The ducking in percent, from 0 to 100.
+     */
+    setAudioTargetDucking (targetId, ducking) {
+        this.runtime.mixer.setDucking(targetId, ducking);
+    }
+
+    /**
+     * Set how many sounds the whole project can play at once, and what happens
+     * to new sounds past that limit. Sounds played "until done" always play.
+     * @param {?number} maxVoices The limit, or null for no limit.
+     * @param {string=} voiceStealing 'oldest', 'quietest' or 'refuse'. Unchanged if omitted.
+     */
+    setPolyphony (maxVoices, voiceStealing) {
+        this.runtime.mixer.setPolyphony(maxVoices, voiceStealing);
+    }
+
+    /**
+     * Set how many sounds an audio target can play at once, and what happens
+     * to its new sounds past that limit. Sounds played "until done" always play.
+     * @param {string} targetId Id of the audio target.
+     * @param {?number} maxVoices The limit, or null for no limit.
+     * @param {?string=} voiceStealing 'oldest', 'quietest' or 'refuse', or null to use the
+     * project's policy. Unchanged if omitted.
+     */
+    setAudioTargetPolyphony (targetId, maxVoices, voiceStealing) {
+        const target = this.runtime.getTargetById(targetId);
+        if (!(target instanceof AudioTarget)) return;
+        target.maxVoices = Mixer.normalizeMaxVoices(maxVoices);
+        if (voiceStealing === null || Mixer.isVoiceStealingPolicy(voiceStealing)) {
+            target.voiceStealing = voiceStealing;
+        }
+    }
 }
 
 module.exports = VirtualMachine;
@@ -1,6 +1,7 @@
 const test = require('tap').test;
 const Runtime = require('../../src/engine/runtime');
 const MonitorRecord = require('../../src/engine/monitor-record');
+const VideoTarget = require('../../src/steina/video-target');
 const {Map} = require('immutable');
 
 test('spec', t => {
@@ -67,3 +68,80 @@ test('monitorStateDoesNotEqual', t => {
 
     t.end();
 });
+
+test('stepFrames advances playback and timers on virtual time', t => {
+    const r = new Runtime();
+    const video = new VideoTarget(r, 'video', {fps: 30, frames: 100});
+    r.targets.push(video);
+    r.videoState.playing[video.id] = {start: 0, end: video.trimEnd, blocking: false};
+
+    r.timeSource.useVirtualTime();
+    r.ioDevices.clock.resetProjectTimer();
+    let waited = false;
+    r.timeSource.setTimeout(() => {
+        waited = true;
+    }, 500);
+
+    r.stepFrames(30, {stepTimeMs: 1000 / 30}).then(() => {
+        t.ok(r.timeSource.isVirtual);
+        t.strictEquals(r.currentStepTime, 1000 / 30);
+        t.strictEquals(Math.round(video.currentFrame), 30);
+        t.strictEquals(Math.round(r.ioDevices.clock.projectTimer() * 1000), 1000);
+        t.ok(waited);
+        t.end();
+    });
+});
+
+test('pause and resume keep timers and playback where they were', t => {
+    const r = new Runtime();
+    const video = new VideoTarget(r, 'video', {fps: 30, frames: 100});
+    r.targets.push(video);
+    r.videoState.playing[video.id] = {start: 0, end: video.trimEnd, blocking: false};
+    r.timeSource.useVirtualTime();
+    r.ioDevices.clock.resetProjectTimer();
+    let waited = false;
+    r.timeSource.setTimeout(() => {
+        waited = true;
+    }, 500);
+    const events = [];
+    r.on(Runtime.RUNTIME_PAUSED, () => events.push('paused'));
+    r.on(Runtime.RUNTIME_RESUMED, () => events.push('resumed'));
+
+    r.stepFrames(10, {stepTimeMs: 20})
+        .then(() => {
+            r.pause();
+            // Stepping while paused doesn't move time or fire timeouts
+            return r.stepFrames(50, {stepTimeMs: 20});
+        })
+        .then(() => {
+            t.ok(r.paused);
+            t.strictEquals(Math.round(r.ioDevices.clock.projectTimer() * 1000), 200);
+            t.strictEquals(Math.round(video.currentFrame), 6);
+            t.notOk(waited);
+
+            r.resume();
+            return r.stepFrames(15, {stepTimeMs: 20});
+        })
+        .then(() => {
+            t.strictEquals(Math.round(r.ioDevices.clock.projectTimer() * 1000), 500);
+            t.strictEquals(Math.round(video.currentFrame), 15);
+            t.ok(waited);
+            t.same(events, ['paused', 'resumed']);
+            t.end();
+        });
+});
+
+test('resume restarts stepping only if the runtime was started', t => {
+    const r = new Runtime();
+    r.pause();
+    r.resume();
+    t.strictEquals(r._steppingInterval, null);
+
+    r.start();
+    r.pause();
+    t.strictEquals(r._steppingInterval, null);
+    r.resume();
+    t.notStrictEquals(r._steppingInterval, null);
+    clearInterval(r._steppingInterval);
+    t.end();
+});
@@ -4,6 +4,11 @@ const Runtime = require('../../src/engine/runtime');
 const Thread = require('../../src/engine/thread');
 const RenderedTarget = require('../../src/sprites/rendered-target');
 const Sprite = require('../../src/sprites/sprite');
+const VideoTarget = require('../../src/steina/video-target');
+const AudioTarget = require('../../src/steina/audio-target');
+const Markers = require('../../src/steina/markers');
+const Variable = require('../../src/engine/variable');
+const VirtualMachine = require('../../src/virtual-machine');
 
 test('spec', t => {
     t.type(Sequencer, 'function');
@@ -187,3 +192,309 @@ test('stepThreads', t => {
     
     t.end();
 });
+
+test('stepThreads wraps looping videos', t => {
+    const r = new Runtime();
+    r.currentStepTime = 50; // 1.5 frames at 30fps
+    const s = new Sequencer(r);
+    const video = new VideoTarget(r, 'video', {fps: 30, frames: 10});
+    r.targets.push(video);
+
+    const play = function () {
+        video.setCurrentFrame(8);
+        r.videoState.playing[video.id] = {id: 'playing', start: 8, end: video.trimEnd, blocking: false};
+    };
+
+    // Without looping the video stops at the end
+    play();
+    s.stepThreads();
+    t.strictEquals(video.currentFrame, 9);
+    t.notOk(r.videoState.playing[video.id]);
+    t.same(r.videoState.traversed[video.id], [{from: 8, to: 9}]);
+
+    video.setLoopMode(VideoTarget.LOOP_MODES.LOOP);
+    play();
+    s.stepThreads();
+    t.strictEquals(video.currentFrame, 0.5);
+    t.same(r.videoState.traversed[video.id], [{from: 8, to: 9}, {from: 0, to: 0.5}]);
+    s.stepThreads();
+    t.strictEquals(video.currentFrame, 2);
+    t.same(r.videoState.traversed[video.id], [{from: 0.5, to: 2}]);
+
+    video.setLoopMode(VideoTarget.LOOP_MODES.PING_PONG);
+    play();
+    s.stepThreads();
+    t.strictEquals(video.currentFrame, 8.5);
+    t.strictEquals(r.videoState.playing[video.id].end, 0);
+    t.same(r.videoState.traversed[video.id], [{from: 8, to: 9}, {from: 9, to: 8.5}]);
+    s.stepThreads();
+    t.strictEquals(video.currentFrame, 7);
+
+    t.end();
+});
+
+test('sound hats start scripts when a playing sound starts, reaches a marker and finishes', t => {
+    const vm = new VirtualMachine();
+    const r = vm.runtime;
+    r.timeSource.useVirtualTime();
+    r.currentStepTime = 100;
+    // Each step is 100ms of audio time, 100 samples at 1000Hz
+    const step = () => {
+        r.timeSource.advance(100);
+        r._step();
+    };
+    vm.extensionManager.loadExtensionURL('steina').then(() => {
+        const audio = new AudioTarget(r, 'audio', {totalSamples: 251, sampleRate: 1000});
+        const marker = Markers.add(audio, 150);
+        r.targets.push(audio);
+
+        // Each hat counts how often it ran in a variable of the same name
+        const addHat = (hatId, opcode, markerId) => {
+            audio.variables[hatId] = new Variable(hatId, hatId, Variable.SCALAR_TYPE, false);
+            const hat = {
+                id: hatId,
+                opcode: opcode,
+                next: `${hatId}-count`,
+                parent: null,
+                inputs: {},
+                fields: {},
+                shadow: false,
+                topLevel: true
+            };
+            if (markerId) {
+                hat.inputs.MARKER = {name: 'MARKER', block: `${hatId}-menu`, shadow: `${hatId}-menu`};
+                audio.blocks.createBlock({
+                    id: `${hatId}-menu`,
+                    opcode: 'steina_menu_markers',
+                    parent: hatId,
+                    inputs: {},
+                    fields: {markers: {name: 'markers', value: markerId}},
+                    shadow: true,
+                    topLevel: false
+                });
+            }
+            audio.blocks.createBlock(hat);
+            audio.blocks.createBlock({
+                id: `${hatId}-count`,
+                opcode: 'data_changevariableby',
+                parent: hatId,
+                next: null,
+                inputs: {VALUE: {name: 'VALUE', block: `${hatId}-one`, shadow: `${hatId}-one`}},
+                fields: {VARIABLE: {name: 'VARIABLE', id: hatId, value: hatId}},
+                shadow: false,
+                topLevel: false
+            });
+            audio.blocks.createBlock({
+                id: `${hatId}-one`,
+                opcode: 'math_number',
+                parent: `${hatId}-count`,
+                inputs: {},
+                fields: {NUM: {name: 'NUM', value: '1'}},
+                shadow: true,
+                topLevel: false
+            });
+        };
+        const count = hatId => audio.variables[hatId].value;
+
+        // Marker ids are matched exactly, not ignoring case
+        marker.id = 'aBc';
+        addHat('started', 'steina_whenSoundStarts');
+        addHat('reached', 'steina_whenSoundReached', 'aBc');
+        addHat('otherCase', 'steina_whenSoundReached', 'ABC');
+        addHat('end', 'steina_whenSoundReached', Markers.END);
+        addHat('finished', 'steina_whenSoundFinishes');
+
+        r.audioState.playing.sound = {
+            audioTargetId: audio.id,
+            sampleRate: audio.sampleRate,
+            start: 0,
+            end: 250,
+            playbackRate: 100,
+            prevPlayhead: 0,
+            playhead: 0,
+            blocking: false,
+            startTime: r.getAudioTime()
+        };
+
+        // Hats see what the sounds played during the previous step
+        step();
+        step();
+        t.strictEquals(count('started'), 1);
+        t.strictEquals(count('reached'), 0);
+        step();
+        t.strictEquals(count('reached'), 1);
+        t.strictEquals(count('end'), 0);
+        step();
+        t.strictEquals(count('end'), 1);
+        step();
+        step();
+        t.strictEquals(count('finished'), 1);
+        t.notOk(r.audioState.playing.sound);
+        t.strictEquals(count('reached'), 1);
+        t.strictEquals(count('end'), 1);
+        t.strictEquals(count('otherCase'), 0);
+        t.end();
+    });
+});
+
+test('stepThreads exports audio effects per playing sound', t => {
+    const r = new Runtime();
+    r.timeSource.useVirtualTime();
+    const s = new Sequencer(r);
+    const step = () => {
+        r.timeSource.advance(100);
+        s.stepThreads();
+    };
+    const audio = new AudioTarget(r, 'audio', {totalSamples: 1000, sampleRate: 1000});
+    r.targets.push(audio);
+    r.audioState.playing.sound = {
+        audioTargetId: audio.id,
+        sampleRate: audio.sampleRate,
+        start: 0,
+        end: 999,
+        playbackRate: 100,
+        prevPlayhead: 0,
+        playhead: 0,
+        blocking: false,
+        startTime: r.getAudioTime()
+    };
+    r.startHats = () => {};
+
+    audio.setEffect('pitch', 120);
+    step();
+    const sound = r.audioState.playing.sound;
+    t.strictEquals(sound.effects.pitch, 120);
+    // Pitch doesn't speed up playback
+    t.strictEquals(sound.playhead, 100);
+
+    audio.setEffect('reverb', 30);
+    step();
+    t.same(sound.effects, {pitch: 120, pan: 0, reverb: 30, echo: 0, lowpass: 0, highpass: 0});
+    t.end();
+});
+
+test('stepThreads plays sounds on the audio clock', t => {
+    const r = new Runtime();
+    r.timeSource.useVirtualTime();
+    const s = new Sequencer(r);
+    const audio = new AudioTarget(r, 'audio', {totalSamples: 10000, sampleRate: 1000});
+    r.targets.push(audio);
+    r.startHats = () => {};
+    const start = r.getAudioTime();
+    const queue = (id, startTime) => {
+        r.audioState.playing[id] = {
+            audioTargetId: audio.id,
+            sampleRate: audio.sampleRate,
+            start: 0,
+            end: 9999,
+            playbackRate: 100,
+            prevPlayhead: 0,
+            playhead: 0,
+            blocking: false,
+            startTime
+        };
+    };
+    queue('now', start);
+    queue('later', start + 0.25);
+
+    // A late step advances by the time that actually passed
+    r.timeSource.advance(150);
+    s.stepThreads();
+    t.strictEquals(r.audioState.currentTime, start + 0.15);
+    t.strictEquals(Math.round(r.audioState.playing.now.playhead), 150);
+    t.strictEquals(r.audioState.playing.later.playhead, 0);
+    t.notOk(r.audioState.playing.later.started);
+
+    // The queued sound only counts the time since its start time
+    r.timeSource.advance(150);
+    s.stepThreads();
+    t.strictEquals(Math.round(r.audioState.playing.now.playhead), 300);
+    t.strictEquals(Math.round(r.audioState.playing.later.playhead), 50);
+    t.end();
+});
+
+test('stepThreads keeps the playheads of paused sounds', t => {
+    const r = new Runtime();
+    r.timeSource.useVirtualTime();
+    const s = new Sequencer(r);
+    const audio = new AudioTarget(r, 'audio', {totalSamples: 10000, sampleRate: 1000});
+    r.targets.push(audio);
+    r.startHats = () => {};
+    const step = () => {
+        r.timeSource.advance(100);
+        s.stepThreads();
+    };
+    const start = r.getAudioTime();
+    r.audioState.playing.sound = {
+        audioTargetId: audio.id,
+        sampleRate: audio.sampleRate,
+        start: 0,
+        end: 9999,
+        playbackRate: 100,
+        prevPlayhead: 0,
+        playhead: 0,
+        blocking: false,
+        startTime: start
+    };
+
+    step();
+    t.strictEquals(Math.round(r.audioState.playing.sound.playhead), 100);
+    r.mixer.pauseSounds(audio.id);
+    step();
+    step();
+    t.ok(r.audioState.playing.sound.paused);
+    t.strictEquals(Math.round(r.audioState.playing.sound.playhead), 100);
+
+    // Resuming carries on from the playhead rather than jumping ahead
+    r.mixer.resumeSounds(audio.id);
+    step();
+    t.notOk(r.audioState.playing.sound.paused);
+    t.strictEquals(Math.round(r.audioState.playing.sound.playhead), 200);
+    t.end();
+});
+
+test('stepThreads keeps video audio tracks in sync with their video', t => {
+    const r = new Runtime();
+    r.currentStepTime = 100; // 3 frames at 30fps
+    const s = new Sequencer(r);
+    const video = new VideoTarget(r, 'video', {
+        fps: 30,
+        frames: 90,
+        audioTrack: {id: 'clip', totalSamples: 3000, sampleRate: 1000}
+    });
+    r.targets.push(video);
+    const trackId = 'video-audioTrack';
+    let soundHats = 0;
+    r.startHats = () => {
+        soundHats++;
+    };
+
+    r.videoState.playing[video.id] = {id: 'playing', start: 0, end: video.trimEnd, blocking: false};
+    s.stepThreads();
+    const track = r.audioState.playing[trackId];
+    t.strictEquals(track.clipId, 'clip');
+    t.notOk(track.audioTargetId);
+    t.strictEquals(track.volume, 100);
+    t.strictEquals(track.videoTargetId, 'video');
+    t.strictEquals(track.prevPlayhead, 0);
+    t.strictEquals(Math.round(track.playhead), 100);
+    t.strictEquals(Math.round(track.end), 2967);
+    t.same(r.mixer.getVoices(), []);
+
+    // Seeking, reversing and changing rate move the track along with the video
+    video.setCurrentFrame(60);
+    video.setRate(200);
+    r.videoState.playing[video.id] = {id: 'reverse', start: 60, end: 0, blocking: false};
+    s.stepThreads();
+    t.strictEquals(r.audioState.playing[trackId].prevPlayhead, 2000);
+    t.strictEquals(Math.round(r.audioState.playing[trackId].playhead), 1800);
+    t.strictEquals(r.audioState.playing[trackId].end, 0);
+    t.strictEquals(r.audioState.playing[trackId].playbackRate, 200);
+
+    // The track stops with its video
+    delete r.videoState.playing[video.id];
+    s.stepThreads();
+    t.notOk(r.audioState.playing[trackId]);
+    t.strictEquals(soundHats, 0);
+    t.end();
+});
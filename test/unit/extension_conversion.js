@@ -167,3 +167,58 @@ test('registerExtensionPrimitives', t => {
 
     runtime._registerExtensionPrimitives(testExtensionInfo);
 });
+
+test('monitored reporters get a checkbox in the flyout', t => {
+    const runtime = new Runtime();
+
+    runtime.on(Runtime.EXTENSION_ADDED, blocksInfo => {
+        const [plain, monitored, global, withArgument] = blocksInfo;
+        t.notOk(plain.json.checkboxInFlyout);
+        t.equal(monitored.json.checkboxInFlyout, true);
+        t.equal(global.json.checkboxInFlyout, true);
+        // Reporters with inputs can't be monitored
+        t.notOk(withArgument.json.checkboxInFlyout);
+
+        t.same(runtime.monitorBlockInfo.monitors_monitored, {isSpriteSpecific: true});
+        t.same(runtime.monitorBlockInfo.monitors_global, {isSpriteSpecific: false});
+        t.notOk(runtime.monitorBlockInfo.hasOwnProperty('monitors_plain'));
+        t.notOk(runtime.monitorBlockInfo.hasOwnProperty('monitors_withArgument'));
+        t.end();
+    });
+
+    runtime._registerExtensionPrimitives({
+        id: 'monitors',
+        name: 'monitors',
+        blocks: [
+            {
+                opcode: 'plain',
+                blockType: BlockType.REPORTER,
+                text: 'plain'
+            },
+            {
+                opcode: 'monitored',
+                blockType: BlockType.BOOLEAN,
+                text: 'monitored',
+                checkboxInFlyout: true,
+                isSpriteSpecific: true
+            },
+            {
+                opcode: 'global',
+                blockType: BlockType.REPORTER,
+                text: 'global',
+                checkboxInFlyout: true
+            },
+            {
+                opcode: 'withArgument',
+                blockType: BlockType.REPORTER,
+                text: 'with [ARG]',
+                checkboxInFlyout: true,
+                arguments: {
+                    ARG: {
+                        type: ArgumentType.NUMBER
+                    }
+                }
+            }
+        ]
+    });
+});
@@ -0,0 +1,264 @@
+const test = require('tap').test;
+const Runtime = require('../../src/engine/runtime');
+const Thread = require('../../src/engine/thread');
+const Steina = require('../../src/extensions/steina/index.js');
+const AudioTarget = require('../../src/steina/audio-target');
+const VideoTarget = require('../../src/steina/video-target');
+
+test('touch reporters', t => {
+    const rt = new Runtime();
+    const blocks = new Steina(rt);
+    const util = {runtime: rt};
+    const post = (id, x, y, isDown) => rt.ioDevices.touch.postData({
+        id, x, y, isDown, canvasWidth: 480, canvasHeight: 360
+    });
+
+    t.strictEquals(blocks.getTouchCount({}, util), 0);
+    t.strictEquals(blocks.getTouchX({INDEX: 1}, util), 0);
+
+    post(7, 240, 180, true);
+    post(3, 480, 0, true);
+    t.strictEquals(blocks.getTouchCount({}, util), 2);
+    t.strictEquals(blocks.getTouchX({INDEX: 1}, util), 0);
+    t.strictEquals(blocks.getTouchY({INDEX: 1}, util), 0);
+    t.strictEquals(blocks.getTouchX({INDEX: '2'}, util), 240);
+    t.strictEquals(blocks.getTouchY({INDEX: 2}, util), 180);
+    t.strictEquals(blocks.getTouchY({INDEX: 3}, util), 0);
+
+    post(7, 240, 180, false);
+    t.strictEquals(blocks.getTouchCount({}, util), 1);
+    t.strictEquals(blocks.getTouchX({INDEX: 1}, util), 240);
+    t.end();
+});
+
+test('audio effect blocks', t => {
+    const rt = new Runtime();
+    const blocks = new Steina(rt);
+    const audio = new AudioTarget(rt, 'audio', {totalSamples: 1000});
+    const util = {runtime: rt, target: audio};
+
+    blocks.setAudioEffectTo({EFFECT: 'PITCH', VALUE: 100}, util);
+    blocks.changeAudioEffectBy({EFFECT: 'pitch', CHANGE: 300}, util);
+    t.strictEquals(audio.effects.pitch, 360);
+
+    blocks.changeAudioEffectBy({EFFECT: 'pan', CHANGE: -20}, util);
+    t.strictEquals(audio.effects.pan, -20);
+
+    blocks.clearAudioEffects({}, util);
+    t.strictEquals(audio.effects.pitch, 0);
+    t.strictEquals(audio.effects.pan, 0);
+    t.end();
+});
+
+test('queueing sounds after a delay or on a beat', t => {
+    const rt = new Runtime();
+    const blocks = new Steina(rt);
+    const audio = new AudioTarget(rt, 'audio', {totalSamples: 1000});
+    const util = {runtime: rt, target: audio};
+    const startTimes = () => Object.keys(rt.audioState.playing)
+        .map(id => rt.audioState.playing[id].startTime)
+        .sort((a, b) => a - b);
+
+    rt.audioState.currentTime = 10.2;
+    blocks.startSound({}, util);
+    blocks.startSoundAfterDelay({DELAY: 0.5}, util);
+    t.same(startTimes(), [10.2, 10.7]);
+
+    rt.audioState.playing = {};
+    blocks.setTempo({TEMPO: 120}, util);
+    t.strictEquals(blocks.getTempo({}, util), 120);
+    blocks.startSoundOnBeat({BEATS: 1}, util);
+    blocks.startSoundOnBeat({BEATS: 2}, util);
+    blocks.startSoundOnBeat({BEATS: 0}, util);
+    t.same(startTimes(), [10.2, 10.5, 11]);
+
+    blocks.setTempo({TEMPO: 1000}, util);
+    t.strictEquals(blocks.getTempo({}, util), 500);
+    t.end();
+});
+
+test('mixer blocks', t => {
+    const rt = new Runtime();
+    const blocks = new Steina(rt);
+    const audio = new AudioTarget(rt, 'audio', {totalSamples: 1000});
+    rt.targets.push(audio);
+    const util = {runtime: rt, target: audio};
+
+    blocks.setMasterVolumeTo({VALUE: 60}, util);
+    t.strictEquals(blocks.getMasterVolume({}, util), 60);
+
+    blocks.setMute({STATE: 'on'}, util);
+    t.notOk(rt.mixer.isAudible('audio'));
+    blocks.setMute({STATE: 'off'}, util);
+    t.ok(rt.mixer.isAudible('audio'));
+
+    blocks.setSolo({STATE: 'on'}, util);
+    t.notOk(rt.mixer.isAudible('other'));
+
+    blocks.setDucking({DUCKING: 120}, util);
+    t.strictEquals(rt.mixer.getChannelInfo(audio).ducking, 100);
+    t.end();
+});
+
+test('polyphony blocks', t => {
+    const rt = new Runtime();
+    const blocks = new Steina(rt);
+    const audio = new AudioTarget(rt, 'audio', {totalSamples: 1000});
+    rt.targets.push(audio);
+    const util = {runtime: rt, target: audio, stackFrame: {}, thread: {}};
+
+    blocks.setMaxVoices({VOICES: 2}, util);
+    blocks.startSound({}, util);
+    blocks.startSound({}, util);
+    blocks.startSound({}, util);
+    t.strictEquals(blocks.getPlayingVoices({}, util), 2);
+
+    // Sounds played until done don't count against the limit, so they still
+    // play and their script waits for them while the target is at its limit
+    blocks.playSound({}, util);
+    const blockingId = util.stackFrame.playingId;
+    t.ok(rt.audioState.playing[blockingId]);
+    t.strictEquals(util.thread.status, Thread.STATUS_YIELD_TICK);
+    t.strictEquals(blocks.getPlayingVoices({}, util), 3);
+    blocks.startSound({}, util);
+    t.strictEquals(blocks.getPlayingVoices({}, util), 3);
+
+    // Nor are they stopped to make room
+    blocks.setVoiceStealing({POLICY: 'oldest'}, util);
+    t.strictEquals(audio.voiceStealing, 'oldest');
+    blocks.setVoiceStealing({POLICY: 'loudest'}, util);
+    t.strictEquals(audio.voiceStealing, 'oldest');
+    blocks.startSound({}, util);
+    t.ok(rt.audioState.playing[blockingId]);
+    t.strictEquals(blocks.getPlayingVoices({}, util), 3);
+
+    blocks.setMaxVoices({VOICES: 0}, util);
+    t.strictEquals(audio.maxVoices, 1);
+    t.end();
+});
+
+test('stopping the sounds of a script', t => {
+    const rt = new Runtime();
+    const blocks = new Steina(rt);
+    const audio = new AudioTarget(rt, 'audio', {totalSamples: 1000});
+    rt.targets.push(audio);
+    const script1 = {runtime: rt, target: audio, thread: {topBlock: 'script1'}};
+    const script2 = {runtime: rt, target: audio, thread: {topBlock: 'script2'}};
+
+    blocks.startSound({}, script1);
+    blocks.startSound({}, script1);
+    blocks.startSound({}, script2);
+    blocks.stopSoundsOfScript({}, script1);
+    t.strictEquals(blocks.getPlayingVoices({}, script2), 1);
+
+    blocks.pauseSounds({}, script1);
+    const id = Object.keys(rt.audioState.playing)[0];
+    t.ok(rt.audioState.playing[id].paused);
+    blocks.resumeSounds({}, script1);
+    t.notOk(rt.audioState.playing[id].paused);
+
+    blocks.stopSoundsOfClip({}, script1);
+    t.strictEquals(blocks.getPlayingVoices({}, script2), 0);
+    t.end();
+});
+
+test('video time and playback reporters', t => {
+    const rt = new Runtime();
+    const blocks = new Steina(rt);
+    const video = new VideoTarget(rt, 'video', {fps: 20, frames: 100, trimStart: 10, trimEnd: 49});
+    const util = {runtime: rt, target: video};
+
+    // Frames count from 1 at the start of the trim, up to the total
+    t.strictEquals(blocks.getCurrentFrame({}, util), 1);
+    t.strictEquals(blocks.getTotalFrames({}, util), 40);
+    blocks.goToFrame({FRAME: 40}, util);
+    t.strictEquals(video.currentFrame, 49);
+    t.strictEquals(blocks.getCurrentFrame({}, util), 40);
+    video.setCurrentFrame(20.5);
+    t.strictEquals(blocks.getCurrentFrame({}, util), 11);
+
+    t.strictEquals(blocks.getCurrentTime({}, util), 0.525);
+    t.strictEquals(blocks.getDuration({}, util), 2);
+    t.strictEquals(blocks.getFps({}, util), 20);
+
+    t.strictEquals(blocks.isPlaying({}, util), false);
+    t.strictEquals(blocks.getPlayDirection({}, util), '');
+    rt.videoState.playing.video = {start: 20.5, end: 10, blocking: false};
+    t.strictEquals(blocks.isPlaying({}, util), true);
+    t.strictEquals(blocks.getPlayDirection({}, util), 'reverse');
+    rt.videoState.playing.video = {start: 20.5, end: 49, blocking: false};
+    t.strictEquals(blocks.getPlayDirection({}, util), 'forward');
+    t.end();
+});
+
+test('video reporters can be monitored', t => {
+    const rt = new Runtime();
+    const blocks = new Steina(rt);
+    const monitored = blocks.getInfo().blocks
+        .filter(block => block.checkboxInFlyout)
+        .map(block => block.opcode);
+    ['getCurrentFrame', 'getTotalFrames', 'getCurrentTime', 'getDuration', 'getFps', 'isPlaying',
+        'getPlayDirection'].forEach(opcode => t.ok(monitored.indexOf(opcode) !== -1, opcode));
+    t.end();
+});
+
+test('seeking video by seconds and percentage', t => {
+    const rt = new Runtime();
+    const blocks = new Steina(rt);
+    const video = new VideoTarget(rt, 'video', {fps: 20, frames: 100, trimStart: 10, trimEnd: 50});
+    const util = {runtime: rt, target: video, thread: {topBlock: 'script'}, stackFrame: {}};
+
+    blocks.goToSeconds({SECONDS: 1.5}, util);
+    t.strictEquals(video.currentFrame, 40);
+    t.strictEquals(blocks.getCurrentTime({}, util), 1.5);
+    blocks.goToSeconds({SECONDS: 10}, util);
+    t.strictEquals(video.currentFrame, 50);
+    blocks.goToSeconds({SECONDS: -1}, util);
+    t.strictEquals(video.currentFrame, 10);
+
+    blocks.goToPercent({PERCENT: 25}, util);
+    t.strictEquals(video.currentFrame, 20);
+    blocks.goToPercent({PERCENT: 100}, util);
+    t.strictEquals(video.currentFrame, 50);
+    blocks.goToPercent({PERCENT: 150}, util);
+    t.strictEquals(video.currentFrame, 50);
+
+    // Playing for a time plays that many seconds of video, stopping at the trim
+    blocks.goToSeconds({SECONDS: 0.5}, util);
+    blocks.playForSeconds({SECONDS: 1}, util);
+    t.strictEquals(rt.videoState.playing.video.start, 20);
+    t.strictEquals(rt.videoState.playing.video.end, 40);
+    t.ok(util.stackFrame.playingId);
+
+    util.stackFrame = {};
+    blocks.playForSeconds({SECONDS: -5}, util);
+    t.strictEquals(rt.videoState.playing.video.end, 10);
+    t.end();
+});
+
+test('layer blocks', t => {
+    const rt = new Runtime();
+    const blocks = new Steina(rt);
+    const video = new VideoTarget(rt, 'video', {fps: 30, frames: 10});
+    const other = new VideoTarget(rt, 'other', {fps: 30, frames: 10});
+    const audio = new AudioTarget(rt, 'audio', {totalSamples: 1000});
+    rt.targets.push(video, other, audio);
+    video.goToFront();
+    other.goToFront();
+    const util = {runtime: rt, target: video};
+
+    // Layers count from 1 at the back
+    t.strictEquals(blocks.getLayer({}, util), 1);
+    t.strictEquals(blocks.getLayerOf({TARGET: 'other'}, util), 2);
+    t.strictEquals(blocks.getLayerOf({TARGET: 'audio'}, util), 0);
+    t.strictEquals(blocks.getLayerOf({TARGET: 'missing'}, util), 0);
+
+    video.goToFront();
+    blocks.goBehind({TARGET: 'other'}, util);
+    t.same(rt.drawOrder.ids, ['video', 'other']);
+
+    // Targets which aren't drawn can't be gone behind
+    blocks.goBehind({TARGET: 'audio'}, util);
+    t.same(rt.drawOrder.ids, ['video', 'other']);
+    t.end();
+});
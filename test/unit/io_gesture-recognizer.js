@@ -0,0 +1,48 @@
+const test = require('tap').test;
+const GestureRecognizer = require('../../src/io/gesture-recognizer');
+
+test('recognizes quick swipes by their main direction', t => {
+    const g = new GestureRecognizer();
+
+    g.touchStart('1', 0, 0, 0);
+    g.touchMove('1', -40, 10);
+    t.same(g.touchEnd('1', -80, 20, 200), [{type: 'swipe', direction: 'left'}]);
+
+    g.touchStart('1', 0, 0, 1000);
+    t.same(g.touchEnd('1', 10, 60, 1100), [{type: 'swipe', direction: 'up'}]);
+
+    g.touchStart('1', 0, 0, 2000);
+    t.same(g.touchEnd('1', 0, -60, 2100), [{type: 'swipe', direction: 'down'}]);
+    t.end();
+});
+
+test('ignores short, slow and multi-finger swipes', t => {
+    const g = new GestureRecognizer();
+
+    g.touchStart('1', 0, 0, 0);
+    t.same(g.touchEnd('1', 20, 0, 100), []);
+
+    g.touchStart('1', 0, 0, 1000);
+    t.same(g.touchEnd('1', 100, 0, 2000), []);
+
+    g.touchStart('1', 0, 0, 3000);
+    g.touchStart('2', 50, 0, 3000);
+    t.same(g.touchEnd('1', 100, 0, 3100), []);
+    t.same(g.touchEnd('2', 150, 0, 3100), []);
+    t.end();
+});
+
+test('recognizes each pinch once', t => {
+    const g = new GestureRecognizer();
+
+    g.touchStart('1', 0, 0, 0);
+    g.touchStart('2', 100, 0, 0);
+    t.same(g.touchMove('2', 110, 0), []);
+    t.same(g.touchMove('2', 130, 0), [{type: 'pinch', direction: 'out'}]);
+    t.same(g.touchMove('2', 200, 0), []);
+    g.touchEnd('2', 200, 0, 100);
+
+    g.touchStart('3', 100, 0, 200);
+    t.same(g.touchMove('3', 70, 0), [{type: 'pinch', direction: 'in'}]);
+    t.end();
+});
@@ -0,0 +1,176 @@
+const test = require('tap').test;
+const Touch = require('../../src/io/touch');
+const Runtime = require('../../src/engine/runtime');
+const VideoTarget = require('../../src/steina/video-target');
+const VirtualMachine = require('../../src/virtual-machine');
+
+// Post a touch at a position given in scratch coordinates
+const post = (touch, id, x, y, isDown) => touch.postData({
+    id,
+    x: x + 240,
+    y: 180 - y,
+    isDown,
+    canvasWidth: 480,
+    canvasHeight: 360
+});
+
+// Positions go through client coordinates, so compare them rounded
+const rounded = points => points.map(point => Object.assign({}, point, {
+    x: Math.round(point.x),
+    y: Math.round(point.y)
+}));
+
+const makeVideo = (rt, id, x, y) => {
+    const video = new VideoTarget(rt, id, {fps: 30, frames: 10, width: 100, height: 100});
+    video.x = x;
+    video.y = y;
+    rt.targets.push(video);
+    rt.drawOrder.goToFront(video);
+    return video;
+};
+
+test('spec', t => {
+    const rt = new Runtime();
+    const touch = new Touch(rt);
+
+    t.type(touch, 'object');
+    t.type(touch.postData, 'function');
+    t.type(touch.getTouches, 'function');
+    t.type(rt.ioDevices.touch, 'object');
+    t.end();
+});
+
+test('tracks several touches in the order they started', t => {
+    const rt = new Runtime();
+    const touch = new Touch(rt);
+
+    post(touch, 5, 10, 20, true);
+    post(touch, 2, -30, 40, true);
+    t.same(rounded(touch.getTouches()), [{id: '5', x: 10, y: 20}, {id: '2', x: -30, y: 40}]);
+
+    post(touch, 5, 15, 25, true);
+    t.same(rounded(touch.getTouches())[0], {id: '5', x: 15, y: 25});
+
+    post(touch, 5, 15, 25, false);
+    t.same(rounded(touch.getTouches()), [{id: '2', x: -30, y: 40}]);
+    t.end();
+});
+
+test('taps the frontmost video and starts its tap hats', t => {
+    const rt = new Runtime();
+    const touch = new Touch(rt);
+    const back = makeVideo(rt, 'back', 0, 0);
+    const front = makeVideo(rt, 'front', 40, 0);
+    const started = [];
+    rt.startHats = (opcode, fields, target) => started.push([opcode, target.id]);
+
+    post(touch, 1, 20, 0, true);
+    t.ok(front.tapped);
+    t.notOk(back.tapped);
+    t.same(started, [['steina_whenTapped', 'front']]);
+
+    post(touch, 1, 20, 0, false);
+    t.notOk(front.tapped);
+
+    post(touch, 2, 200, 150, true);
+    t.notOk(front.tapped);
+    t.notOk(back.tapped);
+    t.strictEquals(started.length, 1);
+    t.end();
+});
+
+test('drags several videos at once', t => {
+    const rt = new Runtime();
+    const touch = new Touch(rt);
+    const left = makeVideo(rt, 'left', -100, 0);
+    const right = makeVideo(rt, 'right', 100, 0);
+
+    post(touch, 1, -100, 0, true);
+    post(touch, 2, 100, 0, true);
+    touch.postData({
+        touches: [
+            {id: 1, x: 140, y: 150, isDown: true},
+            {id: 2, x: 360, y: 210, isDown: true}
+        ],
+        canvasWidth: 480,
+        canvasHeight: 360
+    });
+
+    t.same(rounded([left, right]).map(video => [video.x, video.y]), [[-100, 30], [120, -30]]);
+    t.ok(left.dragging);
+    t.ok(right.dragging);
+    t.end();
+});
+
+test('pinches to scale and rotate', t => {
+    const rt = new Runtime();
+    const touch = new Touch(rt);
+    const video = makeVideo(rt, 'video', 0, 0);
+
+    post(touch, 1, -20, 0, true);
+    post(touch, 2, 20, 0, true);
+    // Turn the second finger a quarter turn counter-clockwise around the first
+    post(touch, 2, -20, 40, true);
+    t.strictEquals(Math.round(video.size), 100);
+    t.strictEquals(Math.round(video.direction), 0);
+    t.same(rounded([video]).map(v => [v.x, v.y]), [[-20, 20]]);
+
+    // Then move it to twice the distance
+    post(touch, 2, -20, 80, true);
+    t.strictEquals(Math.round(video.size), 200);
+    t.strictEquals(Math.round(video.direction), 0);
+    t.same(rounded([video]).map(v => [v.x, v.y]), [[-20, 40]]);
+
+    post(touch, 1, -20, 0, false);
+    t.ok(video.tapped);
+    post(touch, 2, -20, 80, false);
+    t.notOk(video.tapped);
+    t.notOk(video.dragging);
+    t.end();
+});
+
+test('starts swipe and pinch hats matching the gesture direction', t => {
+    const vm = new VirtualMachine();
+    const rt = vm.runtime;
+    const touch = rt.ioDevices.touch;
+    vm.extensionManager.loadExtensionURL('steina').then(() => {
+        const video = new VideoTarget(rt, 'video', {fps: 30, frames: 10});
+        rt.targets.push(video);
+        const addHat = (hatId, opcode, menu, direction) => {
+            video.blocks.createBlock({
+                id: hatId,
+                opcode: opcode,
+                next: null,
+                parent: null,
+                inputs: {DIRECTION: {name: 'DIRECTION', block: `${hatId}-menu`, shadow: `${hatId}-menu`}},
+                fields: {},
+                shadow: false,
+                topLevel: true
+            });
+            video.blocks.createBlock({
+                id: `${hatId}-menu`,
+                opcode: `steina_menu_${menu}`,
+                parent: hatId,
+                inputs: {},
+                fields: {[menu]: {name: menu, value: direction}},
+                shadow: true,
+                topLevel: false
+            });
+        };
+        addHat('swipedRight', 'steina_whenSwiped', 'swipeDirections', 'right');
+        addHat('swipedLeft', 'steina_whenSwiped', 'swipeDirections', 'left');
+        addHat('pinchedIn', 'steina_whenPinched', 'pinchDirections', 'in');
+        addHat('pinchedOut', 'steina_whenPinched', 'pinchDirections', 'out');
+        const started = () => rt.threads.map(thread => thread.topBlock);
+
+        post(touch, 1, 0, 0, true);
+        post(touch, 1, 100, 0, false);
+        t.same(started(), ['swipedRight']);
+
+        post(touch, 1, -50, 0, true);
+        post(touch, 2, 50, 0, true);
+        post(touch, 2, 10, 0, true);
+        t.same(started(), ['swipedRight', 'pinchedIn']);
+        t.end();
+    });
+});
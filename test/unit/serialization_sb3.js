@@ -2,6 +2,8 @@ const test = require('tap').test;
 const path = require('path');
 const VirtualMachine = require('../../src/index');
 const sb3 = require('../../src/serialization/sb3');
+const VideoTarget = require('../../src/steina/video-target');
+const AudioTarget = require('../../src/steina/audio-target');
 const readFileToBuffer = require('../fixtures/readProjectFile').readFileToBuffer;
 const projectPath = path.resolve(__dirname, '../fixtures/clone-cleanup.sb2');
 
@@ -24,3 +26,75 @@ test('deserialize', t => {
         t.end();
     });
 });
+
+test('serialize and deserialize Steina video and audio targets', t => {
+    const vm = new VirtualMachine();
+    let spriteName;
+    vm.loadProject(readFileToBuffer(projectPath))
+        .then(() => {
+            vm.createVideoTarget('video1', {fps: 24, frames: 48, trimStart: 2, trimEnd: 40});
+            vm.createVideoTarget('video2', {fps: 30, frames: 10});
+            vm.createAudioTarget('audio1', {totalSamples: 96000, sampleRate: 44100});
+            const video = vm.runtime.getTargetById('video1');
+            video.setXY(10, -20);
+            video.setRate(50);
+            vm.addMarker('video1', 12, 'chorus');
+            vm.addMarker('video1', 5);
+            video.goToFront();
+            // A sprite in front of the videos stays in front after loading
+            const sprite = vm.runtime.targets.find(target => target.sprite && !target.isStage);
+            spriteName = sprite.getName();
+            sprite.goToFront();
+            const audio = vm.runtime.getTargetById('audio1');
+            audio.setVolume(0);
+            audio.setEffect('pan', -50);
+            audio.trimStart = 100;
+            vm.setAudioTargetPolyphony('audio1', 4, 'quietest');
+            vm.attachAudioTrack('video2', 'audio1');
+            vm.setPolyphony(8, 'oldest');
+
+            const result = sb3.serialize(vm.runtime);
+            t.equal(result.steinaTargets.length, 3);
+            t.equal(result.steinaTargets.filter(target => target.targetType === 'video').length, 2);
+            t.equal(result.steinaTargets.filter(target => target.targetType === 'audio').length, 1);
+
+            return sb3.deserialize(JSON.parse(JSON.stringify(result)), vm.runtime);
+        })
+        .then(({targets, extensions, mixer}) => {
+            t.same(mixer, {maxVoices: 8, voiceStealing: 'oldest'});
+            return vm.installTargets(targets, extensions, true);
+        })
+        .then(() => {
+            const video = vm.runtime.getTargetById('video1');
+            t.type(video, VideoTarget);
+            t.equal(video.fps, 24);
+            t.equal(video.frames, 48);
+            t.equal(video.trimStart, 2);
+            t.equal(video.trimEnd, 40);
+            t.equal(video.x, 10);
+            t.equal(video.y, -20);
+            t.equal(video.playbackRate, 50);
+            t.same(video.markers.map(marker => marker.name), ['1', 'chorus']);
+            t.same(video.markers.map(marker => marker.position), [5, 12]);
+            t.type(vm.runtime.getTargetById('video2'), VideoTarget);
+            t.same(vm.runtime.getTargetById('video2').audioTrack,
+                {id: 'audio1', totalSamples: 96000, sampleRate: 44100});
+            t.equal(video.audioTrack, null);
+            const drawOrder = vm.getDrawOrder();
+            t.same(drawOrder.slice(-3, -1), ['video2', 'video1']);
+            t.equal(vm.runtime.getTargetById(drawOrder[drawOrder.length - 1]).getName(), spriteName);
+
+            const audio = vm.runtime.getTargetById('audio1');
+            t.type(audio, AudioTarget);
+            t.equal(audio.volume, 0);
+            t.equal(audio.effects.pan, -50);
+            t.equal(audio.effects.pitch, 0);
+            t.equal(audio.sampleRate, 44100);
+            t.equal(audio.totalSamples, 96000);
+            t.equal(audio.trimStart, 100);
+            t.equal(audio.trimEnd, 96000);
+            t.equal(audio.maxVoices, 4);
+            t.equal(audio.voiceStealing, 'quietest');
+            t.end();
+        });
+});
@@ -3,6 +3,7 @@ const RenderedTarget = require('../../src/sprites/rendered-target');
 const Sprite = require('../../src/sprites/sprite');
 const Runtime = require('../../src/engine/runtime');
 const FakeRenderer = require('../fixtures/fake-renderer');
+const VideoTarget = require('../../src/steina/video-target');
 
 test('clone effects', t => {
     // Create two clones and ensure they have different graphic effect objects.
@@ -306,21 +307,36 @@ test('layers', t => {
     const s = new Sprite();
     const r = new Runtime();
     const renderer = new FakeRenderer();
-    const o = new Object();
     r.attachRenderer(renderer);
     const a = new RenderedTarget(s, r);
-    a.renderer = renderer;
+    const b = new RenderedTarget(s, r);
+    const video = new VideoTarget(r, 'video', {fps: 30, frames: 10});
+    a.drawableID = 1;
+    b.drawableID = 999;
+    r.targets.push(a, b, video);
+
+    // Sprites share the runtime's draw order with video targets
+    a.goToFront();
+    b.goToFront();
+    video.goToFront();
+    t.same(r.drawOrder.ids, [a.id, b.id, video.id]);
     a.goToFront();
-    t.equals(a.renderer.order, 5);
+    t.same(r.drawOrder.ids, [b.id, video.id, a.id]);
+    // No sprite in front, so the drawable goes in front of all others
+    t.equals(renderer.order, 5);
     a.goBackwardLayers(2);
-    t.equals(a.renderer.order, 3);
-    a.goToBack();
-    t.equals(a.renderer.order, 1);
+    t.same(r.drawOrder.ids, [a.id, b.id, video.id]);
+    // The drawable is moved behind the sprite in front of it
+    t.equals(renderer.order, 1);
     a.goForwardLayers(1);
-    t.equals(a.renderer.order, 2);
-    o.drawableID = 999;
-    a.goBehindOther(o);
-    t.equals(a.renderer.order, 1);
+    t.same(r.drawOrder.ids, [b.id, a.id, video.id]);
+    a.goToBack();
+    t.same(r.drawOrder.ids, [a.id, b.id, video.id]);
+    a.goBehindOther(video);
+    t.same(r.drawOrder.ids, [b.id, a.id, video.id]);
+
+    video.dispose();
+    t.same(r.drawOrder.ids, [b.id, a.id]);
     t.end();
 });
 
@@ -0,0 +1,74 @@
+const test = require('tap').test;
+const Runtime = require('../../src/engine/runtime');
+const AudioTarget = require('../../src/steina/audio-target');
+const VirtualMachine = require('../../src/virtual-machine');
+
+test('setEffect clamps each effect to its range', t => {
+    const r = new Runtime();
+    const audio = new AudioTarget(r, 'audio', {totalSamples: 1000});
+
+    audio.setEffect('pitch', 500);
+    t.strictEquals(audio.effects.pitch, 360);
+    audio.setEffect('pan', -150);
+    t.strictEquals(audio.effects.pan, -100);
+    audio.setEffect('lowpass', -10);
+    t.strictEquals(audio.effects.lowpass, 0);
+    audio.setEffect('echo', 40);
+    t.strictEquals(audio.effects.echo, 40);
+
+    audio.setEffect('distortion', 40);
+    t.notOk(audio.effects.hasOwnProperty('distortion'));
+    t.end();
+});
+
+test('clearEffects and duplicate', t => {
+    const r = new Runtime();
+    const audio = new AudioTarget(r, 'audio', {totalSamples: 1000});
+    audio.setEffect('reverb', 50);
+
+    const copy = audio.duplicate();
+    t.strictEquals(copy.effects.reverb, 50);
+    t.notEqual(copy.effects, audio.effects);
+    t.same(audio.toJSON().effects, audio.effects);
+
+    audio.clearEffects();
+    t.same(audio.effects, {pitch: 0, pan: 0, reverb: 0, echo: 0, lowpass: 0, highpass: 0});
+    t.strictEquals(copy.effects.reverb, 50);
+    t.end();
+});
+
+test('setTrim keeps markers and playing sounds inside the trim', t => {
+    const r = new Runtime();
+    const audio = new AudioTarget(r, 'audio', {totalSamples: 1000, markers: [900]});
+    const playing = r.audioState.playing;
+    playing.forward = {audioTargetId: 'audio', start: 100, end: 800, playhead: 700};
+    playing.reverse = {audioTargetId: 'audio', start: 900, end: 600, playhead: 850};
+    playing.other = {audioTargetId: 'other', start: 900, end: 1000, playhead: 950};
+
+    audio.setTrim(200, 1500);
+    t.strictEquals(audio.trimEnd, 1000);
+    audio.setTrim(200, 500);
+    t.same(audio.markers.map(marker => marker.position), [500]);
+    t.same(playing.forward, {audioTargetId: 'audio', start: 200, end: 500, playhead: 500});
+    t.notOk(playing.reverse);
+    t.ok(playing.other);
+    t.end();
+});
+
+test('updateAudioTargetInfo applies validated partial updates', t => {
+    const vm = new VirtualMachine();
+    const audio = new AudioTarget(vm.runtime, 'audio', {totalSamples: 1000, trimStart: 100});
+    vm.runtime.targets.push(audio);
+
+    vm.updateAudioTargetInfo('audio', {trimStart: 0, trimEnd: 0});
+    t.strictEquals(audio.trimStart, 0);
+    t.strictEquals(audio.trimEnd, 0);
+    t.throws(() => vm.updateAudioTargetInfo('audio', {markers: [500]}));
+    t.same(audio.markers, []);
+    t.throws(() => vm.updateAudioTargetInfo('audio', {trimEnd: 1500, markers: [1200]}));
+    t.same(audio.markers, []);
+    t.strictEquals(audio.trimEnd, 0);
+    t.throws(() => vm.updateAudioTargetInfo('audio', {trimStart: NaN}));
+    t.throws(() => vm.updateVideoTargetInfo('audio', {trimStart: 0}));
+    t.end();
+});
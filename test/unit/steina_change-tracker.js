@@ -0,0 +1,155 @@
+const test = require('tap').test;
+const Runtime = require('../../src/engine/runtime');
+const VideoTarget = require('../../src/steina/video-target');
+const AudioTarget = require('../../src/steina/audio-target');
+const VirtualMachine = require('../../src/virtual-machine');
+
+const listen = (rt, eventName) => {
+    const events = [];
+    rt.on(eventName, payload => events.push(payload));
+    return events;
+};
+
+const addVideo = (rt, id) => {
+    const video = new VideoTarget(rt, id, {fps: 30, frames: 10});
+    rt.targets.push(video);
+    rt.drawOrder.goToFront(video);
+    return video;
+};
+
+test('new, changed and removed video targets are reported as diffs', t => {
+    const rt = new Runtime();
+    const changes = listen(rt, Runtime.VIDEO_TARGETS_CHANGED);
+    const video = addVideo(rt, 'video');
+
+    rt.changeTracker.emitChanges();
+    t.strictEquals(changes.length, 1);
+    t.strictEquals(changes[0].video.x, 0);
+    t.strictEquals(changes[0].video.visible, true);
+    t.strictEquals(changes[0].video.effects.ghost, 0);
+
+    // Nothing changed, nothing reported
+    rt.changeTracker.emitChanges();
+    t.strictEquals(changes.length, 1);
+
+    video.setXY(10, 20);
+    video.setEffect('ghost', 50);
+    rt.changeTracker.emitChanges();
+    t.same(changes[1], {video: {x: 10, y: 20, effects: {ghost: 50}}});
+
+    rt.targets = [];
+    rt.changeTracker.emitChanges();
+    t.same(changes[2], {video: null});
+    t.end();
+});
+
+test('draw order changes are reported', t => {
+    const rt = new Runtime();
+    const orders = listen(rt, Runtime.DRAW_ORDER_CHANGED);
+    addVideo(rt, 'a');
+    addVideo(rt, 'b');
+
+    rt.changeTracker.emitChanges();
+    t.same(orders, [['a', 'b']]);
+
+    rt.drawOrder.ids.reverse();
+    rt.changeTracker.emitChanges();
+    rt.changeTracker.emitChanges();
+    t.same(orders, [['a', 'b'], ['b', 'a']]);
+    t.end();
+});
+
+test('audio target volume and rate changes are reported', t => {
+    const rt = new Runtime();
+    const changes = listen(rt, Runtime.AUDIO_TARGETS_CHANGED);
+    const audio = new AudioTarget(rt, 'audio', {totalSamples: 1000});
+    rt.targets.push(audio);
+
+    rt.changeTracker.emitChanges();
+    t.same(changes[0], {audio: {volume: 100, playbackRate: 100, trimStart: 0, trimEnd: 1000, markers: []}});
+
+    audio.setVolume(50);
+    rt.changeTracker.emitChanges();
+    t.same(changes[1], {audio: {volume: 50}});
+    t.end();
+});
+
+test('sounds are reported when they start and stop', t => {
+    const rt = new Runtime();
+    const started = listen(rt, Runtime.SOUNDS_STARTED);
+    const stopped = listen(rt, Runtime.SOUNDS_STOPPED);
+    const playing = rt.audioState.playing;
+
+    // Queued sounds only count once they start
+    playing.sound = {audioTargetId: 'audio', started: false};
+    rt.changeTracker.emitChanges();
+    t.strictEquals(started.length, 0);
+
+    playing.sound.started = true;
+    rt.changeTracker.emitChanges();
+    t.strictEquals(started.length, 1);
+    t.strictEquals(started[0].sound.audioTargetId, 'audio');
+
+    rt.changeTracker.emitChanges();
+    t.strictEquals(started.length, 1);
+
+    delete playing.sound;
+    rt.changeTracker.emitChanges();
+    t.same(stopped, [['sound']]);
+    t.end();
+});
+
+test('changes are coalesced per step', t => {
+    const rt = new Runtime();
+    const video = addVideo(rt, 'video');
+    rt._step();
+
+    const changes = listen(rt, Runtime.VIDEO_TARGETS_CHANGED);
+    video.setXY(10, 0);
+    video.setXY(20, 0);
+    video.setXY(0, 0);
+    video.setSize(50);
+    rt._step();
+    t.same(changes, [{video: {size: 50}}]);
+    t.end();
+});
+
+test('trim and marker edits are reported whole', t => {
+    const rt = new Runtime();
+    const changes = listen(rt, Runtime.VIDEO_TARGETS_CHANGED);
+    const video = addVideo(rt, 'video');
+    rt.changeTracker.emitChanges();
+    t.strictEquals(changes[0].video.name, 'video');
+
+    video.markers.push({id: 'm', name: 'chorus', position: 4});
+    video.setTrim(2, 8);
+    rt.changeTracker.emitChanges();
+    t.same(changes[1], {video: {
+        currentFrame: 2,
+        trimStart: 2,
+        trimEnd: 8,
+        markers: [{id: 'm', name: 'chorus', position: 4}]
+    }});
+
+    // Moving a marker in place is noticed too
+    video.markers[0].position = 5;
+    rt.changeTracker.emitChanges();
+    t.same(changes[2], {video: {markers: [{id: 'm', name: 'chorus', position: 5}]}});
+    t.end();
+});
+
+test('vm edits are reported while the project is paused', t => {
+    const vm = new VirtualMachine();
+    const changes = listen(vm.runtime, Runtime.VIDEO_TARGETS_CHANGED);
+    addVideo(vm.runtime, 'video');
+    vm.runtime.changeTracker.emitChanges();
+    vm.pause();
+    const reported = changes.length;
+
+    vm.updateVideoTargetInfo('video', {trimStart: 2});
+    t.strictEquals(changes.length, reported + 1);
+    t.strictEquals(changes[reported].video.trimStart, 2);
+    vm.addMarker('video', 5, 'chorus');
+    t.same(changes[reported + 1].video.markers.map(marker => marker.name), ['chorus']);
+    t.end();
+});
@@ -0,0 +1,45 @@
+const test = require('tap').test;
+const Runtime = require('../../src/engine/runtime');
+const DrawOrder = require('../../src/steina/draw-order');
+const AudioTarget = require('../../src/steina/audio-target');
+const VideoTarget = require('../../src/steina/video-target');
+
+test('only sprites and video targets are layered', t => {
+    const rt = new Runtime();
+    t.ok(DrawOrder.isLayered(new VideoTarget(rt, 'video', {fps: 30, frames: 10})));
+    t.notOk(DrawOrder.isLayered(new AudioTarget(rt, 'audio', {totalSamples: 1000})));
+    t.end();
+});
+
+test('targets move between layers', t => {
+    const rt = new Runtime();
+    const order = rt.drawOrder;
+    const [a, b, c] = ['a', 'b', 'c'].map(id => {
+        const video = new VideoTarget(rt, id, {fps: 30, frames: 10});
+        rt.targets.push(video);
+        return video;
+    });
+    t.strictEquals(order.getLayer(a), -1);
+
+    // Targets which aren't layered yet start from the front
+    order.goForwardLayers(a, 0);
+    order.goToFront(b);
+    order.goToBack(c);
+    t.same(order.ids, ['c', 'a', 'b']);
+    order.goForwardLayers(c, 10);
+    t.same(order.ids, ['a', 'b', 'c']);
+    order.setLayer(c, -3.4);
+    t.same(order.ids, ['c', 'a', 'b']);
+
+    order.goBehind(c, b);
+    t.same(order.ids, ['a', 'c', 'b']);
+    order.goBehind(a, a);
+    t.same(order.ids, ['a', 'c', 'b']);
+    t.same(order.getTargets(), [a, c, b]);
+
+    order.remove(c);
+    t.same(order.ids, ['a', 'b']);
+    order.reset();
+    t.same(order.ids, []);
+    t.end();
+});
@@ -0,0 +1,241 @@
+const test = require('tap').test;
+const path = require('path');
+const History = require('../../src/steina/history');
+const VirtualMachine = require('../../src/index');
+const events = require('../fixtures/events.json');
+const readFileToBuffer = require('../fixtures/readProjectFile').readFileToBuffer;
+const projectPath = path.resolve(__dirname, '../fixtures/clone-cleanup.sb2');
+
+const makeCommand = (log, name) => ({
+    undo: () => log.push(`undo ${name}`),
+    redo: () => log.push(`redo ${name}`)
+});
+
+test('undo and redo commands in order', t => {
+    const history = new History();
+    const log = [];
+    t.notOk(history.canUndo());
+    t.notOk(history.undo());
+
+    history.record(makeCommand(log, 'a'));
+    history.record(makeCommand(log, 'b'));
+    t.ok(history.undo());
+    t.ok(history.undo());
+    t.notOk(history.canUndo());
+    t.ok(history.canRedo());
+    t.ok(history.redo());
+    t.same(log, ['undo b', 'undo a', 'redo a']);
+
+    // A new edit forgets what was undone
+    history.record(makeCommand(log, 'c'));
+    t.notOk(history.canRedo());
+    t.end();
+});
+
+test('edits made while undoing are not recorded', t => {
+    const history = new History();
+    history.record({
+        undo: () => history.record({undo: () => {}, redo: () => {}}),
+        redo: () => {}
+    });
+    history.undo();
+    t.notOk(history.canUndo());
+    t.ok(history.canRedo());
+    t.end();
+});
+
+test('commands which fail stay where they were', t => {
+    const history = new History();
+    let fail = true;
+    history.record({
+        undo: () => {
+            if (fail) throw new Error('undo failed');
+        },
+        redo: () => {
+            if (fail) throw new Error('redo failed');
+        }
+    });
+    t.throws(() => history.undo());
+    t.ok(history.canUndo());
+    t.notOk(history.canRedo());
+    t.notOk(history.isApplying);
+
+    fail = false;
+    t.ok(history.undo());
+    fail = true;
+    t.throws(() => history.redo());
+    t.notOk(history.canUndo());
+    t.ok(history.canRedo());
+    t.end();
+});
+
+test('only the most recent commands are kept', t => {
+    const history = new History();
+    for (let i = 0; i < History.MAX_COMMANDS + 10; i++) {
+        history.record({undo: () => {}, redo: () => {}});
+    }
+    let undone = 0;
+    while (history.undo()) undone++;
+    t.strictEqual(undone, History.MAX_COMMANDS);
+    t.end();
+});
+
+test('vm undoes and redoes Steina target edits', t => {
+    const vm = new VirtualMachine();
+    const canUndo = [];
+    const canRedo = [];
+    vm.on('canUndo', value => canUndo.push(value));
+    vm.on('canRedo', value => canRedo.push(value));
+    vm.loadProject(readFileToBuffer(projectPath))
+        .then(() => {
+            vm.createVideoTarget('video', {fps: 30, frames: 100});
+            vm.createVideoTarget('video2', {fps: 30, frames: 100});
+            t.same(canUndo, [true]);
+
+            // Trim and markers
+            const video = vm.runtime.getTargetById('video');
+            vm.updateVideoTargetInfo('video', {trimStart: 10, trimEnd: 50});
+            const markerId = vm.addMarker('video', 20, 'chorus');
+            vm.moveMarker('video', markerId, 30);
+            vm.undo();
+            t.strictEqual(video.markers[0].position, 20);
+            vm.undo();
+            t.same(video.markers, []);
+            vm.undo();
+            t.strictEqual(video.trimStart, 0);
+            t.strictEqual(video.trimEnd, 99);
+            vm.redo();
+            t.strictEqual(video.trimEnd, 50);
+            t.same(canRedo, [true]);
+
+            // Layer order
+            const layerOfVideo = vm.runtime.drawOrder.getLayer(video);
+            vm.reorderTarget('video2', 0);
+            t.strictEqual(vm.runtime.drawOrder.ids[0], 'video2');
+            vm.undo();
+            t.strictEqual(vm.runtime.drawOrder.getLayer(video), layerOfVideo);
+            t.same(vm.runtime.drawOrder.ids.slice(-2), ['video', 'video2']);
+
+            // Deletion puts the same target back where it was
+            vm.deleteVideoOrAudioTarget('video');
+            t.notOk(vm.runtime.getTargetById('video'));
+            vm.undo();
+            t.strictEqual(vm.runtime.getTargetById('video'), video);
+            t.same(vm.runtime.drawOrder.ids.slice(-2), ['video', 'video2']);
+            t.strictEqual(video.trimEnd, 50);
+            vm.redo();
+            t.notOk(vm.runtime.getTargetById('video'));
+
+            // Creation, after undoing the deletion and trim
+            vm.undo();
+            vm.undo();
+            vm.undo();
+            t.notOk(vm.runtime.getTargetById('video2'));
+            t.strictEqual(vm.runtime.getTargetById('video'), video);
+
+            // Loading a project forgets the history
+            vm.clear();
+            t.notOk(vm.history.canUndo());
+            t.notOk(vm.history.canRedo());
+            t.same(canUndo, [true, false]);
+            t.end();
+        });
+});
+
+test('vm undoes block edits by event group', t => {
+    const vm = new VirtualMachine();
+    vm.loadProject(readFileToBuffer(projectPath))
+        .then(() => {
+            vm.createVideoTarget('video', {fps: 30, frames: 100});
+            const video = vm.runtime.getTargetById('video');
+            const blockId = events.create.ids[0];
+            vm.blockListener(Object.assign({type: 'create', blockId}, events.create));
+            vm.blockListener({
+                type: 'move',
+                group: events.create.group,
+                blockId,
+                newCoordinate: {x: 10, y: 20}
+            });
+            t.ok(video.blocks.getBlock(blockId));
+
+            // Events which don't edit blocks aren't recorded
+            vm.blockListener({type: 'ui', blockId, element: 'selected'});
+
+            vm.undo();
+            t.notOk(video.blocks.getBlock(blockId));
+            t.same(video.blocks.getScripts(), []);
+            vm.redo();
+            t.strictEqual(video.blocks.getBlock(blockId).x, 10);
+            t.same(video.blocks.getScripts(), [blockId]);
+            t.end();
+        });
+});
+
+test('vm undoes deleting a whole stack and only snapshots edited blocks', t => {
+    const vm = new VirtualMachine();
+    vm.loadProject(readFileToBuffer(projectPath))
+        .then(() => {
+            vm.createVideoTarget('video', {fps: 30, frames: 100});
+            const video = vm.runtime.getTargetById('video');
+            const foreverId = 'r9`RpL74T6*SXPKv7}Dq';
+            const waitId = '{Rwt[LFtD1-JPAi-qf:.';
+            vm.blockListener(Object.assign({type: 'create', blockId: foreverId, group: 'create'}, events.createbranch));
+            t.ok(video.blocks.getBlock(waitId));
+
+            // Events which don't edit blocks, or which aren't the user's edits, aren't snapshotted
+            const snapshots = [];
+            const getBlocksState = vm._getBlocksState;
+            vm._getBlocksState = (target, blockIds) => {
+                snapshots.push(blockIds);
+                return getBlocksState.call(vm, target, blockIds);
+            };
+            vm.blockListener({type: 'ui', blockId: foreverId, element: 'selected'});
+            vm.blockListener({type: 'endDrag', blockId: foreverId, isOutside: false});
+            vm.blockListener({type: 'move', blockId: foreverId, newCoordinate: {x: 1, y: 1}, recordUndo: false});
+            t.same(snapshots, []);
+            const lastCommand = vm.history.peek();
+
+            vm.blockListener({type: 'delete', blockId: foreverId, group: 'delete'});
+            t.notOk(video.blocks.getBlock(waitId));
+            t.same(snapshots[0].sort(), [foreverId, waitId, 'VMDxt_9SYe5{*eNRe5dZ'].sort());
+            vm._getBlocksState = getBlocksState;
+
+            vm.undo();
+            t.strictEqual(vm.history.peek(), lastCommand);
+            t.strictEqual(video.blocks.getBlock(waitId).parent, foreverId);
+            t.strictEqual(video.blocks.getBlock(foreverId).x, 1);
+            t.same(video.blocks.getScripts(), [foreverId]);
+            vm.redo();
+            t.same(video.blocks.getScripts(), []);
+            t.end();
+        });
+});
+
+test('vm stops edited scripts and keeps the editing target when undoing', t => {
+    const vm = new VirtualMachine();
+    vm.loadProject(readFileToBuffer(projectPath))
+        .then(() => {
+            vm.createVideoTarget('video', {fps: 30, frames: 100});
+            const video = vm.runtime.getTargetById('video');
+            const foreverId = 'r9`RpL74T6*SXPKv7}Dq';
+            vm.blockListener(Object.assign({type: 'create', blockId: foreverId, group: 'create'}, events.createbranch));
+            vm.runtime.toggleScript(foreverId, {target: video});
+            const thread = vm.runtime.threads[0];
+            t.strictEqual(thread.topBlock, foreverId);
+
+            const stage = vm.runtime.getTargetForStage();
+            vm.setEditingTarget(stage.id);
+            let workspaceUpdates = 0;
+            vm.on('workspaceUpdate', () => workspaceUpdates++);
+            vm.undo();
+            t.ok(thread.isKilled);
+            t.same(video.blocks.getScripts(), []);
+            t.strictEqual(vm.editingTarget, stage);
+            t.strictEqual(workspaceUpdates, 0);
+
+            vm.redo();
+            t.same(video.blocks.getScripts(), [foreverId]);
+            t.strictEqual(vm.editingTarget, stage);
+            t.end();
+        });
+});
@@ -0,0 +1,89 @@
+const test = require('tap').test;
+const Markers = require('../../src/steina/markers');
+
+const makeTarget = markers => ({
+    markers: Markers.normalize(markers),
+    trimStart: 0,
+    trimEnd: 100
+});
+
+test('normalize', t => {
+    const markers = Markers.normalize([30, 10, {id: 'abc', name: 'intro', position: 20}]);
+    t.same(markers.map(marker => marker.position), [10, 20, 30]);
+    t.same(markers.map(marker => marker.name), ['1', 'intro', '2']);
+    t.strictEqual(markers[1].id, 'abc');
+    t.type(markers[0].id, 'string');
+    t.same(Markers.normalize([{name: '1', position: 30}, 10]).map(marker => marker.name), ['2', '1']);
+    t.same(Markers.normalize(), []);
+    t.end();
+});
+
+test('add, rename, move and delete', t => {
+    const target = makeTarget([]);
+    const first = Markers.add(target, 50);
+    const second = Markers.add(target, 500, 'outro');
+    t.strictEqual(first.name, '1');
+    t.strictEqual(second.position, 100); // Clamped to the trimmed range
+    t.same(target.markers, [first, second]);
+
+    t.ok(Markers.rename(target, first.id, 'outro'));
+    t.strictEqual(first.name, 'outro2');
+    t.notOk(Markers.rename(target, first.id, ''));
+    t.notOk(Markers.rename(target, 'nope', 'name'));
+
+    t.ok(Markers.move(target, second.id, 10));
+    t.same(target.markers, [second, first]);
+    t.notOk(Markers.move(target, 'nope', 10));
+
+    t.ok(Markers.delete(target, second.id));
+    t.same(target.markers, [first]);
+    t.notOk(Markers.delete(target, second.id));
+    t.end();
+});
+
+test('resolvePosition', t => {
+    const target = makeTarget([]);
+    target.trimStart = 5;
+    target.trimEnd = 90;
+    const marker = Markers.add(target, 42);
+    t.strictEqual(Markers.resolvePosition(target, Markers.START), 5);
+    t.strictEqual(Markers.resolvePosition(target, Markers.END), 90);
+    t.strictEqual(Markers.resolvePosition(target, marker.id), 42);
+
+    // Moving the marker keeps references to it valid
+    Markers.move(target, marker.id, 60);
+    t.strictEqual(Markers.resolvePosition(target, marker.id), 60);
+
+    // Blocks saved before markers had ids refer to bare positions
+    t.strictEqual(Markers.resolvePosition(target, '12'), 12);
+
+    Markers.delete(target, marker.id);
+    t.strictEqual(Markers.resolvePosition(target, marker.id), null);
+    t.strictEqual(Markers.resolvePosition(target, ''), null);
+    t.end();
+});
+
+test('isCrossed', t => {
+    // Forward, including the destination but not the origin
+    t.ok(Markers.isCrossed(10, 9.5, 11));
+    t.ok(Markers.isCrossed(10, 9, 10));
+    t.notOk(Markers.isCrossed(10, 10, 11));
+    t.notOk(Markers.isCrossed(10, 10.2, 11.7));
+
+    // Reverse
+    t.ok(Markers.isCrossed(10, 11, 9.5));
+    t.ok(Markers.isCrossed(10, 11, 10));
+    t.notOk(Markers.isCrossed(10, 10, 9));
+
+    // Not moving
+    t.notOk(Markers.isCrossed(10, 10, 10));
+    t.end();
+});
+
+test('clampToTrim', t => {
+    const target = makeTarget([150, 20, -5]);
+    target.trimStart = 10;
+    Markers.clampToTrim(target);
+    t.same(target.markers.map(marker => marker.position), [10, 20, 100]);
+    t.end();
+});
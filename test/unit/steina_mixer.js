@@ -0,0 +1,205 @@
+const test = require('tap').test;
+const Runtime = require('../../src/engine/runtime');
+const AudioTarget = require('../../src/steina/audio-target');
+const VirtualMachine = require('../../src/virtual-machine');
+
+const makeAudio = (rt, id) => {
+    const audio = new AudioTarget(rt, id, {totalSamples: 1000});
+    rt.targets.push(audio);
+    return audio;
+};
+
+const play = (rt, audio, id = `${audio.id}-sound`, startTime = 0) => {
+    rt.audioState.playing[id] = {audioTargetId: audio.id, started: true, startTime};
+};
+
+test('master volume scales every target', t => {
+    const rt = new Runtime();
+    const audio = makeAudio(rt, 'audio');
+    audio.setVolume(80);
+
+    t.strictEquals(rt.mixer.getOutputVolume(audio), 80);
+    rt.mixer.setMasterVolume(50);
+    t.strictEquals(rt.mixer.getOutputVolume(audio), 40);
+    rt.mixer.setMasterVolume(150);
+    t.strictEquals(rt.mixer.masterVolume, 100);
+    t.end();
+});
+
+test('mute and solo', t => {
+    const rt = new Runtime();
+    const a = makeAudio(rt, 'a');
+    const b = makeAudio(rt, 'b');
+    const c = makeAudio(rt, 'c');
+
+    rt.mixer.setMuted('a', true);
+    t.strictEquals(rt.mixer.getOutputVolume(a), 0);
+    t.strictEquals(rt.mixer.getOutputVolume(b), 100);
+
+    rt.mixer.setSoloed('b', true);
+    t.notOk(rt.mixer.isAudible('c'));
+    t.ok(rt.mixer.isAudible('b'));
+    t.strictEquals(rt.mixer.getOutputVolume(c), 0);
+
+    // Muting wins over soloing
+    rt.mixer.setSoloed('a', true);
+    t.notOk(rt.mixer.isAudible('a'));
+
+    rt.mixer.removeTarget('b');
+    rt.mixer.removeTarget('a');
+    t.ok(rt.mixer.isAudible('c'));
+    t.end();
+});
+
+test('playing targets duck the others', t => {
+    const rt = new Runtime();
+    const music = makeAudio(rt, 'music');
+    const voice = makeAudio(rt, 'voice');
+    rt.mixer.setDucking('voice', 75);
+
+    t.strictEquals(rt.mixer.getOutputVolume(music), 100);
+    play(rt, voice);
+    t.strictEquals(rt.mixer.getOutputVolume(music), 25);
+    t.strictEquals(rt.mixer.getOutputVolume(voice), 100);
+
+    // A muted target doesn't duck anything
+    rt.mixer.setMuted('voice', true);
+    t.strictEquals(rt.mixer.getOutputVolume(music), 100);
+    t.end();
+});
+
+test('audio tracks of videos are mixed apart from the audio target of their clip', t => {
+    const rt = new Runtime();
+    const music = makeAudio(rt, 'music');
+    const voice = makeAudio(rt, 'voice');
+    rt.mixer.setDucking('voice', 75);
+    rt.audioState.playing['video-audioTrack'] = {videoTargetId: 'video', clipId: 'voice', started: true};
+
+    // Playing the voice clip as a soundtrack doesn't count as the voice target playing
+    t.strictEquals(rt.mixer.getOutputVolume(music), 100);
+    t.strictEquals(rt.mixer.getTrackVolume(), 100);
+    rt.mixer.stopSounds('voice');
+    t.ok(rt.audioState.playing['video-audioTrack']);
+
+    // Tracks play at the master volume and are ducked by the targets playing over them
+    play(rt, voice);
+    rt.mixer.setMasterVolume(80);
+    t.strictEquals(rt.mixer.getTrackVolume(), 20);
+    t.strictEquals(rt.mixer.getOutputVolume(voice), 80);
+    t.end();
+});
+
+test('rendering info includes the mixer state', t => {
+    const vm = new VirtualMachine();
+    const audio = makeAudio(vm.runtime, 'audio');
+    audio.setVolume(50);
+    vm.setMasterVolume(80);
+    vm.setAudioTargetMuted('audio', false);
+    vm.setAudioTargetSoloed('audio', true);
+    vm.setAudioTargetDucking('audio', 30);
+
+    t.same(vm.getAudioTargetsRenderingInfo().audio.mixer, {
+        muted: false,
+        soloed: true,
+        ducking: 30,
+        masterVolume: 80,
+        outputVolume: 40
+    });
+
+    vm.runtime.dispose();
+    t.strictEquals(vm.runtime.mixer.masterVolume, 100);
+    t.ok(vm.runtime.mixer.isAudible('other'));
+    t.end();
+});
+
+test('voice limits of audio targets', t => {
+    const rt = new Runtime();
+    const audio = makeAudio(rt, 'audio');
+    t.strictEquals(audio.maxVoices, AudioTarget.DEFAULT_MAX_VOICES);
+    audio.maxVoices = 2;
+    play(rt, audio, 'first', 1);
+    play(rt, audio, 'second', 2);
+
+    // Refusing is the default, so playing sounds are left alone
+    t.notOk(rt.mixer.allocateVoice(audio));
+    t.same(rt.mixer.getVoices('audio'), ['first', 'second']);
+
+    audio.voiceStealing = 'oldest';
+    t.ok(rt.mixer.allocateVoice(audio));
+    t.same(rt.mixer.getVoices('audio'), ['second']);
+
+    // Sounds played until done don't count against the limit, and aren't stolen
+    rt.audioState.playing.blocking = {audioTargetId: 'audio', started: true, startTime: 0, blocking: true};
+    t.ok(rt.mixer.allocateVoice(audio));
+    t.same(rt.mixer.getVoices('audio'), ['blocking', 'second']);
+    delete rt.audioState.playing.blocking;
+
+    // Other targets' sounds don't count against the target's limit
+    const other = makeAudio(rt, 'other');
+    play(rt, other, 'other', 0);
+    t.ok(rt.mixer.allocateVoice(audio));
+    t.same(rt.mixer.getVoices(), ['other', 'second']);
+    t.end();
+});
+
+test('project voice limit steals the quietest sound', t => {
+    const rt = new Runtime();
+    const loud = makeAudio(rt, 'loud');
+    const quiet = makeAudio(rt, 'quiet');
+    quiet.setVolume(10);
+    rt.mixer.setPolyphony(3, 'quietest');
+    t.strictEquals(rt.mixer.maxVoices, 3);
+    play(rt, loud, 'loud1', 1);
+    play(rt, quiet, 'quiet1', 2);
+    play(rt, quiet, 'quiet2', 3);
+
+    t.ok(rt.mixer.allocateVoice(loud));
+    t.same(rt.mixer.getVoices(), ['loud1', 'quiet2']);
+
+    // A target's own policy wins over the project's
+    play(rt, quiet, 'quiet3', 4);
+    loud.voiceStealing = 'refuse';
+    t.notOk(rt.mixer.allocateVoice(loud));
+
+    rt.mixer.setPolyphony(null);
+    t.strictEquals(rt.mixer.voiceStealing, 'quietest');
+    t.ok(rt.mixer.allocateVoice(loud));
+    rt.mixer.reset();
+    t.strictEquals(rt.mixer.maxVoices, null);
+    t.strictEquals(rt.mixer.voiceStealing, 'refuse');
+    t.end();
+});
+
+test('stopping and pausing the sounds of a target', t => {
+    const rt = new Runtime();
+    const audio = makeAudio(rt, 'audio');
+    const other = makeAudio(rt, 'other');
+    play(rt, audio, 'a', 1);
+    play(rt, audio, 'b', 2);
+    play(rt, other, 'c', 3);
+    rt.audioState.playing.a.topBlockId = 'script1';
+    rt.audioState.playing.b.topBlockId = 'script2';
+
+    rt.mixer.stopSounds('audio', 'script1');
+    t.same(rt.mixer.getVoices(), ['b', 'c']);
+
+    // Paused sounds don't duck other targets
+    rt.mixer.setDucking('other', 50);
+    rt.audioState.currentTime = 5;
+    rt.mixer.pauseSounds('other');
+    t.strictEquals(rt.mixer.getOutputVolume(audio), 100);
+    t.strictEquals(rt.audioState.playing.c.pausedAt, 5);
+
+    // Queued sounds are pushed back by the time they spent paused
+    rt.audioState.playing.c.startTime = 6;
+    rt.audioState.playing.c.playheadTime = 6;
+    rt.audioState.currentTime = 7;
+    rt.mixer.resumeSounds('other');
+    t.strictEquals(rt.audioState.playing.c.startTime, 8);
+    t.strictEquals(rt.audioState.playing.c.playheadTime, 8);
+    t.notOk(rt.audioState.playing.c.paused);
+
+    rt.mixer.stopSounds('audio');
+    t.same(rt.mixer.getVoices(), ['c']);
+    t.end();
+});
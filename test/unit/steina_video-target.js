@@ -0,0 +1,289 @@
+const test = require('tap').test;
+const Runtime = require('../../src/engine/runtime');
+const VideoTarget = require('../../src/steina/video-target');
+const Steina = require('../../src/extensions/steina');
+const Control = require('../../src/blocks/scratch3_control');
+const Looks = require('../../src/blocks/scratch3_looks');
+const VirtualMachine = require('../../src/virtual-machine');
+
+test('setEffect clamps each effect to its range', t => {
+    const r = new Runtime();
+    const video = new VideoTarget(r, 'video', {fps: 30, frames: 10});
+
+    video.setEffect('brightness', 150);
+    t.strictEquals(video.effects.brightness, 100);
+    video.setEffect('ghost', -10);
+    t.strictEquals(video.effects.ghost, 0);
+    video.setEffect('fisheye', -500);
+    t.strictEquals(video.effects.fisheye, -100);
+    video.setEffect('kaleidoscope', 50);
+    t.strictEquals(video.effects.kaleidoscope, 50);
+
+    // Color and whirl are unbounded
+    video.setEffect('color', 1000);
+    t.strictEquals(video.effects.color, 1000);
+
+    // Unknown effects are ignored
+    video.setEffect('sparkle', 10);
+    t.notOk(video.effects.hasOwnProperty('sparkle'));
+
+    video.clearEffects();
+    for (const effectName in video.effects) {
+        t.strictEquals(video.effects[effectName], 0);
+    }
+    t.end();
+});
+
+test('toJSON exports all effects', t => {
+    const r = new Runtime();
+    const video = new VideoTarget(r, 'video', {fps: 30, frames: 10});
+    video.setEffect('saturation', -20);
+    const effects = video.toJSON().effects;
+    t.same(Object.keys(effects).sort(), [
+        'brightness', 'color', 'contrast', 'crystallize', 'fisheye', 'ghost',
+        'kaleidoscope', 'mosaic', 'pixelate', 'saturation', 'whirl'
+    ]);
+    t.strictEquals(effects.saturation, -20);
+    t.end();
+});
+
+test('makeClone', t => {
+    const r = new Runtime();
+    const video = new VideoTarget(r, 'video', {fps: 30, frames: 10});
+    r.targets.push(video);
+    r.drawOrder.goToFront(video);
+    video.setXY(10, 20);
+    video.setEffect('ghost', 50);
+
+    const clone = video.makeClone();
+    r.targets.push(clone);
+    t.notOk(clone.isOriginal);
+    t.strictEquals(clone.cloneOf, video.id);
+    t.strictEquals(clone.blocks, video.blocks);
+    t.strictEquals(clone.x, 10);
+    t.strictEquals(clone.y, 20);
+    t.strictEquals(clone.effects.ghost, 50);
+    t.same(r.drawOrder.ids, [clone.id, video.id]);
+    t.strictEquals(r._cloneCounter, 1);
+
+    // Clones have their own state
+    clone.setEffect('ghost', 0);
+    clone.setCurrentFrame(5);
+    t.strictEquals(video.effects.ghost, 50);
+    t.strictEquals(video.currentFrame, 0);
+
+    // Clones of clones refer to the original
+    const cloneOfClone = clone.makeClone();
+    r.targets.push(cloneOfClone);
+    t.strictEquals(cloneOfClone.cloneOf, video.id);
+    t.same(r.drawOrder.ids, [cloneOfClone.id, clone.id, video.id]);
+
+    r.disposeTarget(clone);
+    t.same(r.drawOrder.ids, [cloneOfClone.id, video.id]);
+    t.strictEquals(r._cloneCounter, 1);
+
+    // Stopping disposes the remaining clones
+    r.stopAll();
+    t.strictEquals(r.targets.length, 1);
+    t.strictEquals(r.targets[0], video);
+    t.same(r.drawOrder.ids, [video.id]);
+    t.strictEquals(r._cloneCounter, 0);
+    t.end();
+});
+
+test('makeClone respects the clone limit', t => {
+    const r = new Runtime();
+    const video = new VideoTarget(r, 'video', {fps: 30, frames: 10});
+    r.changeCloneCounter(Runtime.MAX_CLONES);
+    t.strictEquals(video.makeClone(), null);
+    t.end();
+});
+
+test('create clone of another video by name', t => {
+    const r = new Runtime();
+    const control = new Control(r);
+    const a = new VideoTarget(r, 'a', {fps: 30, frames: 10});
+    const b = new VideoTarget(r, 'b', {fps: 30, frames: 10});
+    a.name = 'A';
+    b.name = 'B';
+    r.targets.push(a, b);
+    r.drawOrder.goToFront(a);
+    r.drawOrder.goToFront(b);
+
+    control.createClone({CLONE_OPTION: 'B'}, {target: a});
+    t.strictEquals(r.targets.length, 3);
+    t.strictEquals(r.targets[2].cloneOf, b.id);
+
+    // Lookups skip clones, which share their original's name
+    t.strictEquals(r.getVideoTargetByName('B'), b);
+    control.createClone({CLONE_OPTION: 'missing'}, {target: a});
+    t.strictEquals(r.targets.length, 3);
+    t.end();
+});
+
+test('getBounds and isTouchingEdge', t => {
+    const r = new Runtime();
+    const video = new VideoTarget(r, 'video', {fps: 30, frames: 10, width: 100, height: 50});
+
+    t.same(video.getBounds(), {left: -50, right: 50, bottom: -25, top: 25});
+    t.notOk(video.isTouchingEdge());
+
+    // Rotating by 90 degrees swaps width and height
+    video.setDirection(180);
+    const bounds = video.getBounds();
+    t.ok(Math.abs(bounds.right - 25) < 1e-9);
+    t.ok(Math.abs(bounds.top - 50) < 1e-9);
+
+    video.setDirection(90);
+    video.setSize(200);
+    video.setXY(150, 0);
+    t.same(video.getBounds(), {left: 50, right: 250, bottom: -50, top: 50});
+    t.ok(video.isTouchingEdge());
+    t.end();
+});
+
+test('isTouchingVideo and distanceTo', t => {
+    const r = new Runtime();
+    const a = new VideoTarget(r, 'a', {fps: 30, frames: 10, width: 100, height: 100});
+    const b = new VideoTarget(r, 'b', {fps: 30, frames: 10, width: 100, height: 100});
+    r.targets.push(a, b);
+
+    b.setXY(90, 0);
+    t.ok(a.isTouchingVideo(b));
+    t.strictEquals(a.distanceTo(b), 90);
+
+    b.setXY(110, 0);
+    t.notOk(a.isTouchingVideo(b));
+
+    // Rotated by 45 degrees, b reaches ~70.7 pixels left of its center
+    b.setDirection(135);
+    t.ok(a.isTouchingVideo(b));
+    b.setXY(125, 0);
+    t.notOk(a.isTouchingVideo(b));
+
+    // Touching any clone of a video counts as touching the video
+    b.setDirection(90);
+    const clone = b.makeClone();
+    r.targets.push(clone);
+    clone.setXY(50, 50);
+    t.notOk(a.isTouchingVideo(b));
+    t.ok(a.isTouchingVideoOrClones(b.id));
+
+    // Hidden videos are never touching
+    a.setVisible(false);
+    t.notOk(a.isTouchingVideoOrClones(b.id));
+    t.end();
+});
+
+test('speech and thought bubbles', t => {
+    const r = new Runtime();
+    // The extension hands speech and thought bubbles of videos to the host
+    const steina = new Steina(r);
+    t.strictEquals(steina.runtime, r);
+    const looks = new Looks(r);
+    const video = new VideoTarget(r, 'video', {fps: 30, frames: 10});
+    r.targets.push(video);
+
+    looks.say({MESSAGE: 'hello'}, {target: video});
+    t.same(video.toJSON().bubble, {type: 'say', text: 'hello'});
+
+    looks.think({MESSAGE: 'hmm'}, {target: video});
+    t.same(video.toJSON().bubble, {type: 'think', text: 'hmm'});
+
+    r.stopAll();
+    t.same(video.toJSON().bubble, {type: 'say', text: ''});
+
+    looks.sayforsecs({MESSAGE: 'bye', SECS: 0.01}, {target: video}).then(() => {
+        t.same(video.toJSON().bubble, {type: 'say', text: ''});
+        t.end();
+    });
+    t.same(video.toJSON().bubble, {type: 'say', text: 'bye'});
+});
+
+test('rendering info includes bubbles in draw order', t => {
+    const vm = new VirtualMachine();
+    const back = new VideoTarget(vm.runtime, 'back', {fps: 30, frames: 10});
+    const front = new VideoTarget(vm.runtime, 'front', {fps: 30, frames: 10});
+    vm.runtime.targets.push(front, back);
+    vm.runtime.drawOrder.ids = ['back', 'front'];
+    front.setSay('think', 'hi');
+
+    const info = vm.getVideoTargetsRenderingInfo();
+    t.same(info.map(i => i.id), ['back', 'front']);
+    t.same(info[1].bubble, {type: 'think', text: 'hi'});
+    t.end();
+});
+
+test('audio tracks line up with frames', t => {
+    const rt = new Runtime();
+    const video = new VideoTarget(rt, 'video', {fps: 25, frames: 50});
+    t.strictEquals(video.audioTrack, null);
+    t.strictEquals(video.frameToSample(10), 0);
+
+    video.setAudioTrack({id: 'clip', totalSamples: 88200, sampleRate: 44100});
+    t.strictEquals(video.frameToSample(25), 44100);
+    t.strictEquals(video.frameToSample(100), 88199);
+    t.same(video.toJSON().audioTrack, {id: 'clip', totalSamples: 88200, sampleRate: 44100});
+    t.same(video.duplicate().audioTrack, video.audioTrack);
+
+    video.setAudioTrack({id: 'broken', totalSamples: 100});
+    t.strictEquals(video.audioTrack, null);
+    t.end();
+});
+
+test('setTrim keeps markers and playback inside the trim', t => {
+    const r = new Runtime();
+    const video = new VideoTarget(r, 'video', {fps: 30, frames: 100, markers: [5, 50, 95]});
+    r.targets.push(video);
+    video.setCurrentFrame(60);
+    r.videoState.playing.video = {id: 'playing', start: 40, end: 80, blocking: false};
+
+    video.setTrim(-10, 70);
+    t.strictEquals(video.trimStart, 0);
+    t.strictEquals(video.trimEnd, 70);
+    t.same(video.markers.map(marker => marker.position), [5, 50, 70]);
+    t.same(r.videoState.playing.video, {id: 'playing', start: 40, end: 70, blocking: false});
+
+    video.setTrim(10, 30);
+    t.strictEquals(video.currentFrame, 30);
+    t.notOk(r.videoState.playing.video);
+    t.end();
+});
+
+test('updateVideoTargetInfo applies validated partial updates', t => {
+    const vm = new VirtualMachine();
+    const video = new VideoTarget(vm.runtime, 'video', {fps: 30, frames: 100, trimStart: 10, trimEnd: 50});
+    vm.runtime.targets.push(video);
+
+    // Zero is a trim point like any other
+    vm.updateVideoTargetInfo('video', {trimStart: 0});
+    t.strictEquals(video.trimStart, 0);
+    t.strictEquals(video.trimEnd, 50);
+
+    vm.updateVideoTargetInfo('video', {markers: [{id: 'm', name: 'chorus', position: 40}]});
+    t.same(video.markers, [{id: 'm', name: 'chorus', position: 40}]);
+
+    // Markers must fall inside the trim, which is checked against the new trim points
+    t.throws(() => vm.updateVideoTargetInfo('video', {markers: [{id: 'late', name: 'late', position: 80}]}));
+    t.throws(() => vm.updateVideoTargetInfo('video', {trimEnd: 30, markers: [40]}));
+    vm.updateVideoTargetInfo('video', {trimEnd: 80, markers: [80]});
+    t.same(video.markers.map(marker => marker.position), [80]);
+    vm.updateVideoTargetInfo('video', {trimEnd: 50, markers: []});
+    t.same(video.markers, []);
+
+    // Trims past the clip are rejected rather than clamped, along with their markers
+    t.throws(() => vm.updateVideoTargetInfo('video', {trimEnd: 120, markers: [110]}));
+    t.throws(() => vm.updateVideoTargetInfo('video', {trimStart: -1}));
+    t.same(video.markers, []);
+    vm.updateVideoTargetInfo('video', {trimEnd: 99, markers: [99]});
+    t.same(video.markers.map(marker => marker.position), [99]);
+    vm.updateVideoTargetInfo('video', {trimEnd: 50, markers: []});
+
+    t.throws(() => vm.updateVideoTargetInfo('video', {trimStart: 60}));
+    t.throws(() => vm.updateVideoTargetInfo('video', {trimEnd: 'end'}));
+    t.throws(() => vm.updateVideoTargetInfo('video', {markers: 12}));
+    t.throws(() => vm.updateVideoTargetInfo('nope', {trimStart: 0}));
+    t.strictEquals(video.trimStart, 0);
+    t.strictEquals(video.trimEnd, 50);
+    t.end();
+});
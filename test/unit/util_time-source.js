@@ -0,0 +1,100 @@
+const test = require('tap').test;
+const TimeSource = require('../../src/util/time-source');
+const Timer = require('../../src/util/timer');
+
+test('follows the wall clock by default', t => {
+    const source = new TimeSource();
+    const now = Date.now();
+
+    t.notOk(source.isVirtual);
+    t.ok(source.now() >= now);
+    t.end();
+});
+
+test('virtual time only moves when advanced', t => {
+    const source = new TimeSource();
+    source.useVirtualTime();
+    const start = source.now();
+    const timer = new Timer(source);
+    timer.start();
+
+    t.ok(source.isVirtual);
+    t.strictEquals(timer.timeElapsed(), 0);
+    source.advance(250);
+    t.strictEquals(source.now(), start + 250);
+    t.strictEquals(timer.timeElapsed(), 250);
+    t.end();
+});
+
+test('virtual timeouts fire in order as time advances', t => {
+    const source = new TimeSource();
+    source.useVirtualTime();
+    const start = source.now();
+    const fired = [];
+
+    source.setTimeout(() => fired.push(['b', source.now() - start]), 100);
+    source.setTimeout(() => fired.push(['a', source.now() - start]), 50);
+    const cancelled = source.setTimeout(() => fired.push(['c', source.now() - start]), 60);
+    source.clearTimeout(cancelled);
+
+    source.advance(75);
+    t.same(fired, [['a', 50]]);
+    source.advance(25);
+    t.same(fired, [['a', 50], ['b', 100]]);
+    t.strictEquals(source.now() - start, 100);
+    t.end();
+});
+
+test('pending timeouts carry over to real time', t => {
+    const source = new TimeSource();
+    source.useVirtualTime();
+    source.setTimeout(() => {
+        t.notOk(source.isVirtual);
+        t.end();
+    }, 10);
+    source.useRealTime();
+});
+
+test('pausing freezes time and virtual timeouts', t => {
+    const source = new TimeSource();
+    source.useVirtualTime();
+    const start = source.now();
+    let fired = false;
+    source.setTimeout(() => {
+        fired = true;
+    }, 50);
+
+    source.pause();
+    t.ok(source.isPaused);
+    source.advance(100);
+    t.strictEquals(source.now(), start);
+    t.notOk(fired);
+
+    source.resume();
+    source.advance(50);
+    t.ok(fired);
+    t.strictEquals(source.now(), start + 50);
+    t.end();
+});
+
+test('pausing holds real timeouts for the time they had left', t => {
+    const source = new TimeSource();
+    let fired = false;
+    source.setTimeout(() => {
+        fired = true;
+    }, 30);
+    source.pause();
+    const pausedAt = source.now();
+
+    setTimeout(() => {
+        t.notOk(fired);
+        t.strictEquals(source.now(), pausedAt);
+        source.resume();
+        // Time carries on from where it was paused
+        t.ok(source.now() - pausedAt < 20);
+        setTimeout(() => {
+            t.ok(fired);
+            t.end();
+        }, 60);
+    }, 60);
+});